@@ -0,0 +1,427 @@
+#!/usr/bin/env node
+/**
+ * EXPENSE SPLITTER - COMMAND LINE
+ * Manages a group in a JSON ledger file (the same data the app stores) without a browser
+ */
+
+import { access } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import {
+    Decimal,
+    Dates,
+    CURRENCIES,
+    LOCALES,
+    SPLIT_MODES,
+    SETTLEMENT_STRATEGIES,
+    Locale,
+    StorageAdapters,
+    Integrity,
+    State,
+    Calculator
+} from '../core.js';
+
+const USAGE = `Usage: expense-splitter [options] <command>
+
+Commands:
+  member list                      List the group's members
+  member add <name>                Add a member
+  member remove <member>           Remove a member who has no expenses or payments
+  expense list                     List expenses, oldest first
+  expense add <title> <amount>     Add an expense (needs --paid-by or --payer)
+  expense remove <id>              Remove an expense (a unique start of the id is enough)
+  balances                         Show what each member paid, owes and their net balance
+  settle                           Suggest transfers that settle every balance
+  repair                           Put back damaged records that can be fixed and list the rest
+
+Options:
+  -f, --file <path>                Ledger file (default: $EXPENSE_LEDGER or expenses.json)
+  -g, --group <name>               Group to use (default: the active group)
+      --json                       Print JSON instead of a table
+      --locale <locale>            Number format, e.g. en-US (default: en-IN)
+  -h, --help                       Show this help
+
+Expense options:
+      --paid-by <member>           Who paid
+      --payer <member=amount>      Repeat for an expense paid by several people
+      --split <a,b,...>            Members sharing the expense (default: all active members)
+      --mode <mode>                equal, exact, percent or shares (default: equal)
+      --value <member=value>       Repeat for each member with exact, percent or shares
+      --currency <code>            Expense currency (default: the group's base currency)
+      --date <YYYY-MM-DD>          Expense date (default: today)
+      --category <name>            Category (default: other)
+      --notes <text>               Notes
+
+Settle options:
+      --strategy <strategy>        fewest, shared or treasurer (default: the group's setting)
+      --treasurer <member>         Member who collects and pays out with --strategy treasurer
+
+Members can be given by name (any case) or id.`;
+
+const OPTIONS = {
+    file: { type: 'string', short: 'f' },
+    group: { type: 'string', short: 'g' },
+    json: { type: 'boolean' },
+    locale: { type: 'string' },
+    help: { type: 'boolean', short: 'h' },
+    'paid-by': { type: 'string' },
+    payer: { type: 'string', multiple: true },
+    split: { type: 'string' },
+    mode: { type: 'string' },
+    value: { type: 'string', multiple: true },
+    currency: { type: 'string' },
+    date: { type: 'string' },
+    category: { type: 'string' },
+    notes: { type: 'string' },
+    strategy: { type: 'string' },
+    treasurer: { type: 'string' }
+};
+
+// Commands that only read the ledger refuse to create a missing file
+const WRITE_COMMANDS = ['member add', 'member remove', 'expense add', 'expense remove', 'repair'];
+
+// Output Module
+// Aligned plain-text tables, or JSON with --json
+
+const Output = {
+    json: false,
+
+    print(data, table) {
+        if (this.json) {
+            console.log(JSON.stringify(data, null, 2));
+        } else {
+            console.log(table());
+        }
+    },
+
+    // columns: [{ label, right }], rows: arrays of strings
+    table(columns, rows, emptyMessage) {
+        if (rows.length === 0) return emptyMessage;
+
+        const widths = columns.map((column, index) =>
+            Math.max(column.label.length, ...rows.map(row => row[index].length))
+        );
+        const line = cells => cells
+            .map((cell, index) => columns[index].right ? cell.padStart(widths[index]) : cell.padEnd(widths[index]))
+            .join('  ')
+            .trimEnd();
+
+        return [
+            line(columns.map(column => column.label)),
+            line(widths.map(width => '-'.repeat(width))),
+            ...rows.map(line)
+        ].join('\n');
+    },
+
+    money(amount, currency) {
+        return Decimal.format(amount, currency);
+    }
+};
+
+// Ledger Helpers
+
+const Ledger = {
+    resolveMember(reference) {
+        const member = State.getMember(reference) || State.findMemberByName(reference);
+        if (!member) {
+            throw new Error(`No member called "${reference}" in ${State.getActiveGroup().name}`);
+        }
+        return member;
+    },
+
+    memberName(memberId) {
+        const member = State.getMember(memberId);
+        return member ? member.name : 'Unknown';
+    },
+
+    // Turns repeated "member=value" options into { memberId: value }
+    parseMemberValues(entries = [], option) {
+        const values = {};
+        entries.forEach(entry => {
+            const separator = entry.lastIndexOf('=');
+            if (separator <= 0) {
+                throw new Error(`--${option} expects member=value, got "${entry}"`);
+            }
+            const member = this.resolveMember(entry.slice(0, separator).trim());
+            values[member.id] = entry.slice(separator + 1).trim();
+        });
+        return values;
+    },
+
+    findExpense(reference) {
+        const matches = State.expenses.filter(expense => expense.id.startsWith(reference));
+        if (matches.length === 0) {
+            throw new Error(`No expense with id "${reference}"`);
+        }
+        if (matches.length > 1 && !matches.some(expense => expense.id === reference)) {
+            throw new Error(`"${reference}" matches ${matches.length} expenses; give more of the id`);
+        }
+        return matches.find(expense => expense.id === reference) || matches[0];
+    }
+};
+
+// Commands
+
+const Commands = {
+    'member list'() {
+        Output.print(State.members, () => Output.table(
+            [{ label: 'Name' }, { label: 'Status' }, { label: 'UPI ID' }, { label: 'Id' }],
+            State.members.map(member => [member.name, member.active === false ? 'inactive' : 'active', member.upiId || '', member.id]),
+            'No members yet'
+        ));
+    },
+
+    'member add'([name = '']) {
+        if (!name.trim()) {
+            throw new Error('Please enter a member name');
+        }
+
+        const member = State.addMember(name);
+        if (!member) {
+            throw new Error('Member with this name already exists');
+        }
+
+        Output.print(member, () => `Added ${member.name}`);
+    },
+
+    'member remove'([reference = '']) {
+        const member = Ledger.resolveMember(reference);
+
+        if (!State.removeMember(member.id)) {
+            throw new Error('Cannot remove member who is involved in expenses, payments or recurring expenses. Delete those first.');
+        }
+
+        Output.print(member, () => `Removed ${member.name}`);
+    },
+
+    'expense list'() {
+        const expenses = [...State.expenses].sort((a, b) =>
+            Dates.ofExpense(a).localeCompare(Dates.ofExpense(b)) || a.createdAt - b.createdAt
+        );
+
+        Output.print(expenses, () => Output.table(
+            [
+                { label: 'Date' },
+                { label: 'Description' },
+                { label: 'Amount', right: true },
+                { label: 'Paid by' },
+                { label: 'Split' },
+                { label: 'Id' }
+            ],
+            expenses.map(expense => [
+                Dates.ofExpense(expense),
+                expense.title,
+                Output.money(expense.amount, expense.currency),
+                Object.keys(expense.payers || { [expense.paidBy]: true }).map(id => Ledger.memberName(id)).join(', '),
+                `${SPLIT_MODES[expense.splitMode] || expense.splitMode}: ${expense.splitBetween.map(id => Ledger.memberName(id)).join(', ')}`,
+                expense.id
+            ]),
+            'No expenses yet'
+        ));
+    },
+
+    'expense add'([title = '', amount = ''], options) {
+        if (!title.trim()) {
+            throw new Error('Please enter expense description');
+        }
+        if (!options['paid-by'] && !options.payer) {
+            throw new Error('Please say who paid with --paid-by or --payer');
+        }
+
+        const currency = (options.currency || State.baseCurrency).toUpperCase();
+        if (!CURRENCIES.includes(currency)) {
+            throw new Error(`Unknown currency ${currency}`);
+        }
+        if (!State.isCurrencyAvailable(currency)) {
+            throw new Error(`Add an exchange rate for ${currency} in the app before using it.`);
+        }
+        if (Decimal.toCents(amount, currency) <= 0) {
+            throw new Error('Please enter a valid amount greater than 0');
+        }
+
+        const splitMode = options.mode || 'equal';
+        if (!SPLIT_MODES[splitMode] || splitMode === 'itemized') {
+            throw new Error('--mode must be equal, exact, percent or shares');
+        }
+        if (options.date && !Dates.isValidKey(options.date)) {
+            throw new Error('Please choose a valid expense date (YYYY-MM-DD)');
+        }
+
+        const payers = Ledger.parseMemberValues(options.payer, 'payer');
+        const paidBy = options['paid-by'] ? Ledger.resolveMember(options['paid-by']).id : Object.keys(payers)[0];
+        const splitBetween = options.split
+            ? options.split.split(',').filter(name => name.trim()).map(name => Ledger.resolveMember(name.trim()).id)
+            : State.getActiveMembers().map(member => member.id);
+
+        const expense = State.addExpense(title, amount, paidBy, [...new Set(splitBetween)], {
+            currency,
+            splitMode,
+            splitValues: Ledger.parseMemberValues(options.value, 'value'),
+            payers,
+            date: options.date,
+            category: options.category,
+            notes: options.notes || ''
+        });
+
+        if (!expense) {
+            const hints = {
+                payers: 'payer amounts must include whoever paid and add up to the total',
+                exact: 'exact amounts must add up to the total',
+                percent: 'percentages must add up to 100',
+                shares: 'every member needs a share greater than 0'
+            };
+            const hint = hints[options.payer ? 'payers' : splitMode];
+            throw new Error(`Failed to add expense. Please check your inputs${hint ? ` (${hint})` : ''}.`);
+        }
+
+        Output.print(expense, () => `Added "${expense.title}" (${Output.money(expense.amount, expense.currency)}), id ${expense.id}`);
+    },
+
+    'expense remove'([reference = '']) {
+        const expense = Ledger.findExpense(reference);
+        State.removeExpense(expense.id);
+        Output.print(expense, () => `Removed "${expense.title}"`);
+    },
+
+    balances() {
+        const currency = State.baseCurrency;
+        const balances = Calculator.calculateBalances(State.members, State.expenses, State.getCalculationOptions());
+
+        Output.print({ currency, balances }, () => Output.table(
+            [
+                { label: 'Member' },
+                { label: 'Paid', right: true },
+                { label: 'Share', right: true },
+                { label: 'Payments', right: true },
+                { label: 'Balance', right: true }
+            ],
+            balances.map(balance => [
+                balance.name,
+                Output.money(balance.totalPaid, currency),
+                Output.money(balance.totalOwed, currency),
+                Output.money(Decimal.subtract(balance.paymentsSent, balance.paymentsReceived, currency), currency),
+                Output.money(balance.netBalance, currency)
+            ]),
+            'No members yet'
+        ));
+    },
+
+    settle(args, options) {
+        const settlementOptions = State.getSettlementOptions();
+
+        if (options.strategy) {
+            if (!SETTLEMENT_STRATEGIES[options.strategy]) {
+                throw new Error(`--strategy must be one of ${Object.keys(SETTLEMENT_STRATEGIES).join(', ')}`);
+            }
+            settlementOptions.strategy = options.strategy;
+        }
+        if (options.treasurer) {
+            settlementOptions.treasurerId = Ledger.resolveMember(options.treasurer).id;
+        }
+        if (settlementOptions.strategy === 'treasurer' && !State.getMember(settlementOptions.treasurerId)) {
+            throw new Error('Choose who collects and pays out with --treasurer');
+        }
+
+        const balances = Calculator.calculateBalances(State.members, State.expenses, State.getCalculationOptions());
+        const plan = Calculator.planSettlements(balances, settlementOptions);
+        const { currency } = settlementOptions;
+
+        Output.print({ currency, ...plan }, () => {
+            const table = Output.table(
+                [{ label: 'From' }, { label: 'To' }, { label: 'Amount', right: true }],
+                plan.settlements.map(s => [s.from, s.to, Output.money(s.amount, currency)]),
+                'All settled up!'
+            );
+            return plan.approximate
+                ? `${table}\n\nThis group is too large to guarantee the fewest transfers; these are close to it.`
+                : table;
+        });
+    },
+
+    // Same repairs as the app's recovery screen; records that cannot be fixed stay set aside
+    repair() {
+        const repaired = State.quarantine
+            .filter(entry => Integrity.isRepairable(entry))
+            .filter(entry => State.restoreQuarantined(entry.id));
+        const remaining = State.quarantine;
+
+        Output.print({ repaired, remaining }, () => {
+            const summary = `Repaired ${repaired.length} ${repaired.length === 1 ? 'record' : 'records'}`;
+            if (remaining.length === 0) return summary;
+
+            return `${summary}. These could not be repaired:\n\n` + Output.table(
+                [{ label: 'Group' }, { label: 'Record' }, { label: 'Problems' }],
+                remaining.map(entry => [
+                    State.getGroup(entry.groupId).name,
+                    `${Integrity.COLLECTIONS[entry.collection]} ${JSON.stringify(entry.record?.id ?? entry.record)}`,
+                    entry.problems.map(problem => Integrity.PROBLEMS[problem] || problem).join('; ')
+                ])
+            );
+        });
+    }
+};
+
+async function main(argv) {
+    const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+    if (options.help || positionals.length === 0) {
+        console.log(USAGE);
+        return;
+    }
+
+    const name = Commands[positionals.slice(0, 2).join(' ')] ? positionals.slice(0, 2).join(' ') : positionals[0];
+    const command = Commands[name];
+    if (!command) {
+        throw new Error(`Unknown command "${positionals.join(' ')}". Run with --help to see the commands.`);
+    }
+
+    if (options.locale && !Locale.setLocale(options.locale)) {
+        throw new Error(`--locale must be one of ${Object.keys(LOCALES).join(', ')}`);
+    }
+    Output.json = Boolean(options.json);
+
+    const path = options.file || process.env.EXPENSE_LEDGER || 'expenses.json';
+    const writes = WRITE_COMMANDS.includes(name);
+    if (!writes) {
+        await access(path).catch(() => {
+            throw new Error(`No ledger at ${path}. Add a member to start one.`);
+        });
+    }
+
+    // Read-only commands leave the ledger byte for byte as it was, even if loading upgraded it
+    const storage = StorageAdapters.file(path);
+    await State.init(writes ? storage : { load: () => storage.load(), save: () => Promise.resolve() });
+    if (State.unreadable) {
+        throw new Error(State.unreadable.reason === 'newer'
+            ? `${path} was saved by a newer version; update expense-splitter to use it.`
+            : `${path} is not a valid ledger. It has been left untouched.`);
+    }
+    if (State.quarantine.length) {
+        const count = State.quarantine.length;
+        console.error(`expense-splitter: ${count} damaged ${count === 1 ? 'record' : 'records'} in ${path} ${count === 1 ? 'was' : 'were'} set aside; run "expense-splitter repair" to review them.`);
+    }
+
+    // --group picks the group for this run only; the ledger keeps its own active group
+    const activeGroupId = State.activeGroupId;
+    if (options.group) {
+        const group = State.groups.find(g => g.id === options.group) ||
+            State.groups.find(g => g.name.toLowerCase() === options.group.trim().toLowerCase());
+        if (!group) {
+            throw new Error(`No group called "${options.group}"`);
+        }
+        State.activeGroupId = group.id;
+    }
+
+    try {
+        command(positionals.slice(name.split(' ').length), options);
+    } finally {
+        State.activeGroupId = activeGroupId;
+        if (writes) {
+            await State.persist();
+        }
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`expense-splitter: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,3220 @@
+/**
+ * EXPENSE SPLITTER - CORE
+ * Money math, the state model, the settlement engine and sync merging, free of the DOM.
+ * Shared by the web app (script.js) and anything else that runs on Node.
+ */
+// Decimal Arithmetic Module
+// Amounts are decimal strings, worked on as integer minor units of their currency.
+// Most currencies have two decimals, but JPY has none and KWD three, so every
+// helper takes the currency the amount is in.
+const Decimal = {
+    // Enough decimals to compare amounts of any supported currency exactly
+    MAX_SCALE: 3,
+
+    scales: {},
+    formatters: {},
+
+    scale(currency) {
+        if (!currency) return 2;
+        if (!(currency in this.scales)) {
+            try {
+                this.scales[currency] = new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+            } catch (error) {
+                this.scales[currency] = 2;
+            }
+        }
+        return this.scales[currency];
+    },
+
+    fromNumber(num, currency) {
+        return this.fromCents(Math.round(num * 10 ** this.scale(currency)), currency);
+    },
+
+    toCents(decimalStr, currency) {
+        return this.toUnits(decimalStr, this.scale(currency));
+    },
+
+    fromCents(cents, currency) {
+        return this.fromUnits(cents, this.scale(currency));
+    },
+
+    // Parses the digits as text so "0.1" never turns into 0.1000000000000000055;
+    // digits past the scale round half away from zero
+    toUnits(decimalStr, scale) {
+        const match = /^([+-]?)(\d*)(?:\.(\d*))?$/.exec(String(decimalStr ?? '').trim());
+        if (!match || (!match[2] && !match[3])) return 0;
+
+        const [, sign, whole, fraction = ''] = match;
+        const digits = (whole || '0') + fraction.padEnd(scale, '0').slice(0, scale);
+        const units = Number(digits) + (Number(fraction[scale] || 0) >= 5 ? 1 : 0);
+        return sign === '-' && units !== 0 ? -units : units;
+    },
+
+    fromUnits(units, scale) {
+        const sign = units < 0 ? '-' : '';
+        const digits = String(Math.abs(Math.round(units))).padStart(scale + 1, '0');
+        if (scale === 0) return sign + digits;
+        return `${sign}${digits.slice(0, -scale)}.${digits.slice(-scale)}`;
+    },
+
+    add(a, b, currency) {
+        const centsA = this.toCents(a, currency);
+        const centsB = this.toCents(b, currency);
+        return this.fromCents(centsA + centsB, currency);
+    },
+
+    subtract(a, b, currency) {
+        const centsA = this.toCents(a, currency);
+        const centsB = this.toCents(b, currency);
+        return this.fromCents(centsA - centsB, currency);
+    },
+
+    divideEqually(amount, parts, currency) {
+        if (parts <= 0) return [];
+        
+        const totalCents = this.toCents(amount, currency);
+        const baseCents = Math.floor(totalCents / parts);
+        const remainder = totalCents - (baseCents * parts);
+        
+        const shares = new Array(parts).fill(baseCents);
+        
+        for (let i = 0; i < remainder; i++) {
+            shares[i]++;
+        }
+        
+        return shares.map(cents => this.fromCents(cents, currency));
+    },
+
+    allocate(amount, weights, currency) {
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        if (weights.length === 0 || totalWeight <= 0) return [];
+
+        const totalCents = this.toCents(amount, currency);
+        const shares = weights.map(weight => Math.floor(totalCents * weight / totalWeight));
+        let remainder = totalCents - shares.reduce((sum, cents) => sum + cents, 0);
+
+        // Hand out leftover cents in order, like divideEqually, skipping zero weights
+        for (let i = 0; remainder > 0; i = (i + 1) % weights.length) {
+            if (weights[i] > 0) {
+                shares[i]++;
+                remainder--;
+            }
+        }
+
+        return shares.map(cents => this.fromCents(cents, currency));
+    },
+
+    compare(a, b) {
+        const centsA = this.toUnits(a, this.MAX_SCALE);
+        const centsB = this.toUnits(b, this.MAX_SCALE);
+        return centsA - centsB;
+    },
+
+    isZero(amount) {
+        return this.toUnits(amount, this.MAX_SCALE) === 0;
+    },
+
+    // Grouping and symbol placement follow the chosen locale (1,00,000 in en-IN, 100.000 in de-DE)
+    format(amount, currency = 'INR') {
+        const key = `${Locale.current}|${currency}`;
+        if (!this.formatters[key]) {
+            this.formatters[key] = new Intl.NumberFormat(Locale.current, { style: 'currency', currency });
+        }
+        return this.formatters[key].format(this.fromCents(this.toCents(amount, currency), currency));
+    }
+};
+
+// Date Helpers
+
+const Dates = {
+    toKey(date) {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    },
+
+    today() {
+        return this.toKey(Date.now());
+    },
+
+    isValidKey(key) {
+        return typeof key === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(key) && this.toKey(`${key}T00:00:00`) === key;
+    },
+
+    // Expenses recorded before dates existed fall back to their creation day
+    ofExpense(expense) {
+        return expense.date || this.toKey(expense.createdAt);
+    },
+
+    format(key) {
+        return new Date(`${key}T00:00:00`).toLocaleDateString(Locale.current, { day: 'numeric', month: 'short', year: 'numeric' });
+    },
+
+    addDays(key, days) {
+        const date = new Date(`${key}T00:00:00`);
+        date.setDate(date.getDate() + days);
+        return this.toKey(date);
+    },
+
+    // Keeps the day of month, clamped to shorter months (31 Jan + 1 month is 28/29 Feb)
+    addMonths(key, months, dayOfMonth) {
+        const [year, month] = key.split('-').map(Number);
+        const lastDay = new Date(year, month + months, 0).getDate();
+        return this.toKey(new Date(year, month - 1 + months, Math.min(dayOfMonth, lastDay)));
+    }
+};
+
+// Statement Parser
+// Amounts as bank exports write them: with symbols, signs for debits and either
+// 1,234.56 or 1.234,56 depending on the bank's locale.
+
+const StatementParser = {
+    // Keeps only digits and the separators between them
+    cleanAmount(value) {
+        return String(value ?? '').replace(/[^0-9.,]/g, '').replace(/^[.,]+|[.,]+$/g, '');
+    },
+
+    // Whichever separator most values use for decimals, or the fallback if none of them tell.
+    // A single group of three digits (1,234) could be either, so it does not count.
+    detectDecimalSeparator(values, fallback = '.') {
+        const votes = { '.': 0, ',': 0 };
+
+        values.forEach(value => {
+            const cleaned = this.cleanAmount(value);
+            const last = Math.max(cleaned.lastIndexOf('.'), cleaned.lastIndexOf(','));
+            if (last === -1) return;
+
+            const separator = cleaned[last];
+            const other = separator === '.' ? ',' : '.';
+            if (cleaned.includes(other)) {
+                votes[separator]++;
+            } else if (cleaned.indexOf(separator) !== last) {
+                votes[other]++;
+            } else if (cleaned.length - last - 1 !== 3) {
+                votes[separator]++;
+            }
+        });
+
+        if (votes['.'] === votes[',']) return fallback;
+        return votes['.'] > votes[','] ? '.' : ',';
+    },
+
+    // Minor units, or 0 if the value is not an amount. Groups may be lakh-style (1,23,456)
+    // but the last one has three digits, so 12,50 is never read as 1250.
+    parseAmount(value, currency, decimalSeparator = '.') {
+        const decimal = decimalSeparator === ',' ? ',' : '\\.';
+        const group = decimalSeparator === ',' ? '\\.' : ',';
+        const match = this.cleanAmount(value).match(new RegExp(`^(\\d+|\\d{1,3}(?:${group}\\d{2,3})*${group}\\d{3})(?:${decimal}(\\d+))?$`));
+        if (!match) return 0;
+        const [, whole, fraction] = match;
+        return Decimal.toCents(`${whole.replace(/[.,]/g, '')}${fraction ? `.${fraction}` : ''}`, currency);
+    }
+};
+
+// How often a recurring expense repeats; custom schedules repeat every N days
+
+const RECURRENCE_FREQUENCIES = {
+    weekly: 'Weekly',
+    monthly: 'Monthly',
+    custom: 'Every N days'
+};
+
+// Built-in expense categories; anything else is a custom category name
+
+const CATEGORIES = {
+    food: 'Food & Drinks',
+    travel: 'Travel',
+    stay: 'Stay',
+    shopping: 'Shopping',
+    entertainment: 'Entertainment',
+    other: 'Other'
+};
+
+// Supported currency codes; Intl supplies their symbols and decimals
+
+const CURRENCIES = ['INR', 'USD', 'EUR', 'GBP', 'AUD', 'CAD', 'SGD', 'AED', 'THB', 'JPY', 'KWD'];
+
+// Locales offered for number and date formatting
+
+const LOCALES = {
+    'en-IN': 'English (India)',
+    'en-US': 'English (US)',
+    'en-GB': 'English (UK)',
+    'de-DE': 'Deutsch',
+    'fr-FR': 'Français',
+    'ja-JP': '日本語',
+    'ar-KW': 'العربية (الكويت)'
+};
+
+// Split Modes
+
+const SPLIT_MODES = {
+    equal: 'Equally',
+    exact: 'Exact amounts',
+    percent: 'Percentages',
+    shares: 'Shares',
+    itemized: 'Itemized receipt'
+};
+
+// Receipt extras spread over members in proportion to their items
+
+const RECEIPT_ADJUSTMENTS = {
+    tax: 'Tax',
+    service: 'Service charge',
+    tip: 'Tip',
+    discount: 'Discount'
+};
+
+// Optional member contact details and the format each must have
+
+const MEMBER_CONTACT_FIELDS = {
+    email: { label: 'Email', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+    phone: { label: 'Phone', pattern: /^\+?[0-9 ()-]{7,20}$/ },
+    upiId: { label: 'UPI ID', pattern: /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9.-]{1,63}$/ }
+};
+
+// Record ids end up in HTML attributes, so ones from files and other devices must be plain
+
+const RECORD_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Settlement Strategies
+
+const SETTLEMENT_STRATEGIES = {
+    fewest: 'Fewest transfers',
+    shared: 'Only pay people you shared an expense with',
+    treasurer: 'Route everything through one treasurer'
+};
+
+
+// Export file format
+
+const EXPORT_FORMAT = {
+    app: 'expense-splitter',
+    version: 1
+};
+
+// Key the serialized state is stored under
+
+const STORAGE_KEY = 'expenseSplitterState';
+
+// Version of the serialized state; bump it and add a step to Migrations when the shape changes
+
+const SCHEMA_VERSION = 2;
+
+// Locale Module
+// Locale used to format numbers and dates; the app remembers the choice per device
+
+const Locale = {
+    current: 'en-IN',
+
+    setLocale(locale) {
+        if (!LOCALES[locale]) return false;
+        this.current = locale;
+        return true;
+    }
+};
+
+// Storage Adapters
+// State reads and writes its serialized data through an adapter: any object with
+// async load() (returning the stored text or null) and save(text) methods
+
+const StorageAdapters = {
+    // Keeps nothing across restarts; for tests and throwaway sessions
+    memory(initial = null) {
+        let stored = initial;
+        return {
+            async load() {
+                return stored;
+            },
+
+            async save(serialized) {
+                stored = serialized;
+            }
+        };
+    },
+
+    localStorage(key = STORAGE_KEY, storage = globalThis.localStorage) {
+        return {
+            async load() {
+                return storage.getItem(key);
+            },
+
+            async save(serialized) {
+                storage.setItem(key, serialized);
+            }
+        };
+    },
+
+    // Node only: a JSON file, replaced in one step so a crash never leaves half of it behind.
+    // It is indented so ledgers kept in git give readable diffs.
+    file(path) {
+        let pending = Promise.resolve();
+
+        return {
+            indent: 2,
+
+            async load() {
+                const { readFile } = await import('node:fs/promises');
+                try {
+                    return await readFile(path, 'utf8');
+                } catch (error) {
+                    if (error.code === 'ENOENT') return null;
+                    throw error;
+                }
+            },
+
+            // Writes are queued so an older state can never land after a newer one
+            save(serialized) {
+                pending = pending.catch(() => {}).then(async () => {
+                    const { writeFile, rename } = await import('node:fs/promises');
+                    await writeFile(`${path}.tmp`, serialized, 'utf8');
+                    await rename(`${path}.tmp`, path);
+                });
+                return pending;
+            }
+        };
+    }
+};
+
+// Schema Migrations
+// Each step upgrades stored data by one version. Version 0 is the single-group data
+// from before groups existed, version 1 the unversioned data with groups.
+
+const Migrations = {
+    steps: {
+        0: data => ({
+            groups: [{ ...data, id: State.generateId(), name: 'My Group' }],
+            activeGroupId: null
+        }),
+
+        // Fields added over time become explicit, and amounts typed as numbers
+        // into a hand-edited ledger become decimal strings
+        1: data => ({
+            ...data,
+            groups: data.groups.map(group => {
+                if (!group || typeof group !== 'object') return group;
+                const baseCurrency = CURRENCIES.includes(group.baseCurrency) ? group.baseCurrency : 'INR';
+                const upgradeList = (records, upgrade) => Array.isArray(records)
+                    ? records.map(record => (record && typeof record === 'object' ? upgrade(record) : record))
+                    : records;
+
+                return {
+                    ...group,
+                    expenses: upgradeList(group.expenses, expense => ({
+                        ...Migrations.upgradeSplit(expense, baseCurrency),
+                        date: expense.date || (expense.createdAt ? Dates.toKey(expense.createdAt) : Dates.today()),
+                        category: expense.category || 'other',
+                        notes: typeof expense.notes === 'string' ? expense.notes : ''
+                    })),
+                    recurring: upgradeList(group.recurring, template => Migrations.upgradeSplit(template, baseCurrency)),
+                    payments: upgradeList(group.payments, payment => {
+                        const currency = payment.currency || baseCurrency;
+                        return { ...payment, currency, amount: Migrations.toAmount(payment.amount, currency) };
+                    })
+                };
+            })
+        })
+    },
+
+    toAmount(value, currency) {
+        return typeof value === 'number' ? Decimal.fromNumber(value, currency) : value;
+    },
+
+    upgradeSplit(record, baseCurrency) {
+        const currency = record.currency || baseCurrency;
+        const toAmounts = (values, valueCurrency) => Object.fromEntries(
+            Object.entries(values && typeof values === 'object' ? values : {})
+                .map(([key, value]) => [key, this.toAmount(value, valueCurrency)])
+        );
+        const splitMode = record.splitMode || 'equal';
+
+        return {
+            ...record,
+            amount: this.toAmount(record.amount, currency),
+            currency,
+            splitMode,
+            splitValues: toAmounts(record.splitValues, splitMode === 'exact' ? currency : undefined),
+            ...(record.payers ? { payers: toAmounts(record.payers, currency) } : {}),
+            ...(Array.isArray(record.items)
+                ? { items: record.items.map(item => (item && typeof item === 'object' ? { ...item, amount: this.toAmount(item.amount, currency) } : item)) }
+                : {})
+        };
+    },
+
+    versionOf(data) {
+        if (Number.isInteger(data.version)) return data.version;
+        return Array.isArray(data.groups) ? 1 : 0;
+    },
+
+    // Returns the data at SCHEMA_VERSION, or null if a newer version of the app saved it
+    run(data) {
+        let version = this.versionOf(data);
+        if (version > SCHEMA_VERSION) return null;
+
+        while (version < SCHEMA_VERSION) {
+            data = this.steps[version](data);
+            version++;
+        }
+        return { ...data, version };
+    }
+};
+
+// Integrity Checks
+// Records that would break the calculations (bad amounts, duplicate ids, references to
+// members who are gone) are moved out of their group into State.quarantine on load,
+// so the rest of the data stays usable and nothing is thrown away without asking
+
+const Integrity = {
+    PROBLEMS: {
+        malformed: 'Required details are missing',
+        'missing-id': 'Has no valid id',
+        'duplicate-id': 'Has the same id as another record',
+        'missing-name': 'Has no name',
+        'invalid-amount': 'Amount is not greater than 0',
+        'unknown-currency': 'Currency is not supported',
+        'missing-rate': 'Its currency has no exchange rate in this group',
+        'missing-member': 'Refers to a member who no longer exists'
+    },
+
+    // Problems a repair can fix; anything else can only be discarded
+    REPAIRS: {
+        'missing-id': 'Give it a new id',
+        'duplicate-id': 'Give it a new id',
+        'missing-name': 'Name it "Unnamed member"',
+        'missing-member': 'Add the missing members back as placeholders',
+        'missing-rate': 'Put it back once a rate for its currency is added'
+    },
+
+    COLLECTIONS: {
+        members: 'Member',
+        expenses: 'Expense',
+        payments: 'Payment',
+        recurring: 'Recurring expense'
+    },
+
+    // Problem codes for one record, leaving duplicate ids to check()
+    findProblems(collection, record, group, memberIds = new Set(group.members.map(m => m.id))) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return ['malformed'];
+        }
+
+        const problems = [];
+        if (!State.isValidId(record.id)) problems.push('missing-id');
+
+        if (collection === 'members') {
+            if (typeof record.name !== 'string' || !record.name.trim()) problems.push('missing-name');
+            return problems;
+        }
+
+        const currency = record.currency || group.baseCurrency;
+        if (!CURRENCIES.includes(currency)) {
+            problems.push('unknown-currency');
+        } else if (Decimal.toCents(record.amount, currency) <= 0) {
+            problems.push('invalid-amount');
+        } else if (currency !== group.baseCurrency && !(parseFloat(group.rates[currency]) > 0)) {
+            // Balances would otherwise convert it at 1:1
+            problems.push('missing-rate');
+        }
+
+        const complete = collection === 'payments'
+            ? Boolean(record.from && record.to) && record.from !== record.to
+            : typeof record.title === 'string' && Boolean(record.paidBy) &&
+                Array.isArray(record.splitBetween) && record.splitBetween.length > 0 &&
+                new Set(record.splitBetween).size === record.splitBetween.length &&
+                // Sorting, statements and the CLI table all read the date as a YYYY-MM-DD string
+                (record.date === undefined || Dates.isValidKey(record.date)) &&
+                (collection !== 'recurring' || Boolean(State.validateSchedule(record))) &&
+                (record.items === undefined || (Array.isArray(record.items) && record.items.every(item => State.isValidId(item?.id))));
+        const references = complete ? [...Sync.referencedMemberIds([record])] : [];
+        if (!complete || !references.every(id => typeof id === 'string' && State.isValidId(id)) ||
+            (collection !== 'payments' && !problems.includes('unknown-currency') && !problems.includes('invalid-amount') &&
+                !this.hasConsistentSplit(record, currency))) {
+            problems.push('malformed');
+        } else if (references.some(id => !memberIds.has(id))) {
+            problems.push('missing-member');
+        }
+
+        return problems;
+    },
+
+    // Payers, split values and receipt items must add up to the amount, or the balances stop
+    // summing to zero. Whether the members exist is checked separately.
+    hasConsistentSplit(record, currency) {
+        const cents = Decimal.toCents(record.amount, currency);
+        const anyMember = () => true;
+
+        if (State.normalizePayers(cents, record.paidBy, record.payers, currency, anyMember) === null) {
+            return false;
+        }
+        if (record.splitMode === 'itemized') {
+            return Boolean(State.normalizeReceipt(cents, record.items, record.adjustments, currency, anyMember));
+        }
+        return Boolean(State.normalizeSplit(cents, record.splitBetween, record.splitMode || 'equal', record.splitValues || {}, currency));
+    },
+
+    // Moves bad records out of the group and returns them as quarantine entries
+    check(group) {
+        const quarantined = [];
+
+        ['members', 'expenses', 'payments', 'recurring'].forEach(collection => {
+            const seenIds = new Set();
+            // Members are checked first, so the others are only matched against members that passed
+            const memberIds = new Set(collection === 'members' ? [] : group.members.map(m => m.id));
+
+            group[collection] = group[collection].filter(record => {
+                const problems = this.findProblems(collection, record, group, memberIds);
+                if (record && seenIds.has(record.id)) problems.push('duplicate-id');
+
+                if (problems.length === 0) {
+                    seenIds.add(record.id);
+                    return true;
+                }
+
+                quarantined.push({
+                    id: State.generateId(),
+                    groupId: group.id,
+                    collection,
+                    record,
+                    problems
+                });
+                return false;
+            });
+        });
+
+        return quarantined;
+    },
+
+    isRepairable(entry) {
+        return entry.problems.every(problem => problem in this.REPAIRS);
+    },
+
+    // Returns the fixed record and any placeholder members it needs, or null
+    repair(entry, group) {
+        if (!this.isRepairable(entry)) return null;
+
+        const record = { ...entry.record };
+        const existing = group[entry.collection];
+        if (!State.isValidId(record.id) || existing.some(r => r.id === record.id)) {
+            record.id = State.generateId();
+        }
+
+        const takenNames = new Set(group.members.map(m => m.name.toLowerCase()));
+        const uniqueName = base => {
+            let name = base;
+            for (let n = 2; takenNames.has(name.toLowerCase()); n++) name = `${base} ${n}`;
+            takenNames.add(name.toLowerCase());
+            return name;
+        };
+
+        const members = [];
+        if (entry.collection === 'members') {
+            record.name = uniqueName(typeof record.name === 'string' && record.name.trim() ? record.name.trim() : 'Unnamed member');
+        } else {
+            const memberIds = new Set(group.members.map(m => m.id));
+            [...Sync.referencedMemberIds([record])].filter(id => !memberIds.has(id)).forEach(id => {
+                members.push({ id, name: uniqueName('Missing member'), createdAt: Date.now() });
+            });
+        }
+
+        record.updatedAt = Date.now();
+        const withPlaceholders = { ...group, members: [...group.members, ...members] };
+        return this.findProblems(entry.collection, record, withPlaceholders).length === 0
+            ? { record, members }
+            : null;
+    }
+};
+
+// State Management Module
+
+const State = {
+    groups: [],
+    activeGroupId: null,
+    storage: null,
+    // Records that failed the integrity checks, kept until they are repaired or discarded
+    quarantine: [],
+    // Stored data this version cannot load ({ raw, reason }); it is never overwritten
+    unreadable: null,
+
+    // The active group's data, so callers can keep using State.members etc.
+    get members() {
+        return this.getActiveGroup().members;
+    },
+
+    set members(members) {
+        this.getActiveGroup().members = members;
+    },
+
+    get expenses() {
+        return this.getActiveGroup().expenses;
+    },
+
+    set expenses(expenses) {
+        this.getActiveGroup().expenses = expenses;
+    },
+
+    get payments() {
+        return this.getActiveGroup().payments;
+    },
+
+    set payments(payments) {
+        this.getActiveGroup().payments = payments;
+    },
+
+    get recurring() {
+        return this.getActiveGroup().recurring;
+    },
+
+    set recurring(recurring) {
+        this.getActiveGroup().recurring = recurring;
+    },
+
+    get currentStep() {
+        return this.getActiveGroup().currentStep;
+    },
+
+    set currentStep(step) {
+        this.getActiveGroup().currentStep = step;
+    },
+
+    get feedback() {
+        return this.getActiveGroup().feedback;
+    },
+
+    set feedback(feedback) {
+        this.getActiveGroup().feedback = feedback;
+    },
+
+    get baseCurrency() {
+        return this.getActiveGroup().baseCurrency;
+    },
+
+    get rates() {
+        return this.getActiveGroup().rates;
+    },
+
+    // storage is one of the StorageAdapters (or anything shaped like them)
+    async init(storage = this.storage || StorageAdapters.memory()) {
+        this.storage = storage;
+        this.groups = [];
+        this.activeGroupId = null;
+        this.quarantine = [];
+        this.unreadable = null;
+
+        let stored = null;
+        let data = null;
+        try {
+            stored = await storage.load();
+            if (stored) {
+                const parsed = JSON.parse(stored);
+                data = parsed && typeof parsed === 'object' ? Migrations.run(parsed) : null;
+                if (!data) {
+                    this.unreadable = { raw: stored, reason: parsed && typeof parsed === 'object' ? 'newer' : 'corrupt' };
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load state:', error);
+            this.unreadable = { raw: stored, reason: 'corrupt' };
+        }
+
+        if (data) {
+            this.groups = (Array.isArray(data.groups) ? data.groups : [])
+                .filter(group => group && group.id)
+                .map(group => this.sanitizeGroup(group));
+            this.activeGroupId = data.activeGroupId;
+            this.quarantine = this.sanitizeQuarantine(data.quarantine);
+            this.groups.forEach(group => {
+                this.quarantine.push(...Integrity.check(group));
+            });
+        }
+
+        if (this.groups.length === 0) {
+            this.groups.push(this.createGroupRecord('My Group'));
+        }
+
+        if (!this.getGroup(this.activeGroupId)) {
+            this.activeGroupId = (this.groups.find(g => !g.archived) || this.groups[0]).id;
+        }
+
+        // Catch up on rent, bills etc. that fell due while the app was closed
+        this.groups.forEach(group => this.generateRecurringExpenses(group));
+
+        this.persist();
+    },
+
+    // Callers rarely wait, but the promise tells Node tools when the data is on disk
+    persist() {
+        if (this.unreadable) {
+            return Promise.resolve();
+        }
+
+        return this.storage.save(JSON.stringify({
+            version: SCHEMA_VERSION,
+            groups: this.groups,
+            activeGroupId: this.activeGroupId,
+            quarantine: this.quarantine
+        }, null, this.storage.indent)).catch(error => {
+            console.error('Failed to persist state:', error);
+        });
+    },
+
+    sanitizeQuarantine(entries) {
+        if (!Array.isArray(entries)) return [];
+
+        return entries.filter(entry =>
+            entry && typeof entry.id === 'string' && this.getGroup(entry.groupId) &&
+            entry.collection in Integrity.COLLECTIONS && Array.isArray(entry.problems)
+        );
+    },
+
+    // Puts a quarantined record back after fixing what can be fixed
+    restoreQuarantined(entryId) {
+        const entry = this.quarantine.find(e => e.id === entryId);
+        const group = entry && this.getGroup(entry.groupId);
+        if (!group) {
+            return false;
+        }
+
+        const repaired = Integrity.repair(entry, group);
+        if (!repaired) {
+            return false;
+        }
+
+        group.members.push(...repaired.members);
+        group[entry.collection].push(repaired.record);
+        this.quarantine = this.quarantine.filter(e => e.id !== entryId);
+        this.persist();
+        return true;
+    },
+
+    discardQuarantined(entryId) {
+        if (!this.quarantine.some(e => e.id === entryId)) {
+            return false;
+        }
+
+        this.quarantine = this.quarantine.filter(e => e.id !== entryId);
+        this.persist();
+        return true;
+    },
+
+    // Gives up on data that could not be read and starts saving the current state over it
+    discardUnreadable() {
+        this.unreadable = null;
+        this.persist();
+    },
+
+    sanitizeGroup(group) {
+        const baseCurrency = CURRENCIES.includes(group.baseCurrency) ? group.baseCurrency : 'INR';
+
+        return {
+            id: group.id,
+            name: typeof group.name === 'string' && group.name.trim() ? group.name.trim() : 'Untitled Group',
+            archived: Boolean(group.archived),
+            createdAt: group.createdAt || Date.now(),
+            members: Array.isArray(group.members) ? group.members : [],
+            expenses: Array.isArray(group.expenses) ? group.expenses : [],
+            payments: Array.isArray(group.payments) ? group.payments : [],
+            recurring: Array.isArray(group.recurring) ? group.recurring : [],
+            currentStep: group.currentStep || 1,
+            feedback: group.feedback || null,
+            baseCurrency,
+            rates: group.rates && typeof group.rates === 'object' ? group.rates : {},
+            showOriginalCurrencies: Boolean(group.showOriginalCurrencies),
+            settlementStrategy: SETTLEMENT_STRATEGIES[group.settlementStrategy] ? group.settlementStrategy : 'fewest',
+            treasurerId: group.treasurerId || null,
+            budgets: this.sanitizeBudgets(group.budgets, baseCurrency),
+            settingsUpdatedAt: Number(group.settingsUpdatedAt) || 0,
+            tombstones: group.tombstones && typeof group.tombstones === 'object' ? group.tombstones : {}
+        };
+    },
+
+    createGroupRecord(name) {
+        return {
+            id: this.generateId(),
+            name,
+            archived: false,
+            createdAt: Date.now(),
+            members: [],
+            expenses: [],
+            payments: [],
+            recurring: [],
+            currentStep: 1,
+            feedback: null,
+            baseCurrency: 'INR',
+            rates: {},
+            showOriginalCurrencies: false,
+            settlementStrategy: 'fewest',
+            treasurerId: null,
+            budgets: this.sanitizeBudgets(),
+            settingsUpdatedAt: 0,
+            tombstones: {}
+        };
+    },
+
+    // Budget limits are kept in the group's base currency
+    sanitizeBudgets(budgets = {}, currency = 'INR') {
+        const sanitizeLimits = limits => Object.fromEntries(
+            Object.entries(limits && typeof limits === 'object' ? limits : {})
+                .filter(([, amount]) => Decimal.toCents(amount, currency) > 0)
+                .map(([key, amount]) => [key, Decimal.fromCents(Decimal.toCents(amount, currency), currency)])
+        );
+
+        return {
+            total: Decimal.toCents(budgets?.total, currency) > 0
+                ? Decimal.fromCents(Decimal.toCents(budgets.total, currency), currency)
+                : null,
+            categories: sanitizeLimits(budgets?.categories),
+            members: sanitizeLimits(budgets?.members)
+        };
+    },
+
+    // Shared settings are synced as one unit, newest change wins
+    touchSettings(group = this.getActiveGroup()) {
+        group.settingsUpdatedAt = Date.now();
+    },
+
+    // Deleted ids are remembered so a sync from another device cannot bring them back
+    addTombstones(ids, group = this.getActiveGroup()) {
+        const deletedAt = Date.now();
+        ids.forEach(id => {
+            group.tombstones[id] = deletedAt;
+        });
+    },
+
+    getGroup(groupId) {
+        return this.groups.find(g => g.id === groupId);
+    },
+
+    getActiveGroup() {
+        return this.getGroup(this.activeGroupId);
+    },
+
+    isGroupNameTaken(name, exceptGroupId = null) {
+        return this.groups.some(
+            g => g.id !== exceptGroupId && g.name.toLowerCase() === name.toLowerCase()
+        );
+    },
+
+    createGroup(name) {
+        const trimmedName = name.trim();
+        if (!trimmedName || this.isGroupNameTaken(trimmedName)) {
+            return null;
+        }
+
+        const group = this.createGroupRecord(trimmedName);
+        this.groups.push(group);
+        this.activeGroupId = group.id;
+        this.persist();
+        return group;
+    },
+
+    renameGroup(groupId, name) {
+        const group = this.getGroup(groupId);
+        const trimmedName = name.trim();
+        if (!group || !trimmedName || this.isGroupNameTaken(trimmedName, groupId)) {
+            return null;
+        }
+
+        group.name = trimmedName;
+        this.touchSettings(group);
+        this.persist();
+        return group;
+    },
+
+    switchGroup(groupId) {
+        if (!this.getGroup(groupId)) {
+            return false;
+        }
+
+        this.activeGroupId = groupId;
+        this.persist();
+        return true;
+    },
+
+    setGroupArchived(groupId, archived) {
+        const group = this.getGroup(groupId);
+        if (!group) {
+            return false;
+        }
+
+        group.archived = archived;
+        this.persist();
+        return true;
+    },
+
+    deleteGroup(groupId) {
+        if (!this.getGroup(groupId)) {
+            return false;
+        }
+
+        this.groups = this.groups.filter(g => g.id !== groupId);
+        this.quarantine = this.quarantine.filter(entry => entry.groupId !== groupId);
+
+        if (this.groups.length === 0) {
+            this.groups.push(this.createGroupRecord('My Group'));
+        }
+
+        if (this.activeGroupId === groupId) {
+            this.activeGroupId = (this.groups.find(g => !g.archived) || this.groups[0]).id;
+        }
+
+        this.persist();
+        return true;
+    },
+
+    setCurrentStep(step) {
+        this.currentStep = step;
+        this.persist();
+    },
+
+    addMember(name) {
+        const trimmedName = name.trim();
+        if (!trimmedName) return null;
+        
+        if (this.findMemberByName(trimmedName)) {
+            return null;
+        }
+
+        const member = {
+            id: this.generateId(),
+            name: trimmedName,
+            createdAt: Date.now()
+        };
+
+        this.members.push(member);
+        this.persist();
+        return member;
+    },
+
+    removeMember(memberId) {
+        const isInvolved = this.expenses.some(
+            expense => expense.paidBy === memberId || memberId in (expense.payers || {}) ||
+                expense.splitBetween.includes(memberId)
+        ) || this.payments.some(
+            payment => payment.from === memberId || payment.to === memberId
+        ) || this.recurring.some(
+            template => template.paidBy === memberId || memberId in (template.payers || {}) ||
+                template.splitBetween.includes(memberId)
+        );
+
+        if (isInvolved) {
+            return false;
+        }
+
+        this.members = this.members.filter(m => m.id !== memberId);
+        delete this.getActiveGroup().budgets.members[memberId];
+        this.addTombstones([memberId]);
+        this.persist();
+        return true;
+    },
+
+    // name plus the MEMBER_CONTACT_FIELDS; empty contact details are removed
+    updateMember(memberId, fields) {
+        const member = this.getMember(memberId);
+        const name = String(fields.name ?? member?.name ?? '').trim();
+        if (!member || !name) {
+            return null;
+        }
+
+        const namesake = this.findMemberByName(name);
+        if (namesake && namesake.id !== memberId) {
+            return null;
+        }
+
+        const contact = {};
+        for (const [key, { pattern }] of Object.entries(MEMBER_CONTACT_FIELDS)) {
+            const value = String(fields[key] ?? member[key] ?? '').trim();
+            if (value && !pattern.test(value)) {
+                return null;
+            }
+            contact[key] = value;
+        }
+
+        member.name = name;
+        Object.entries(contact).forEach(([key, value]) => {
+            if (value) {
+                member[key] = value;
+            } else {
+                delete member[key];
+            }
+        });
+        member.updatedAt = Date.now();
+        this.persist();
+        return member;
+    },
+
+    // Inactive members keep their history but are not offered for new expenses
+    setMemberActive(memberId, active) {
+        const member = this.getMember(memberId);
+        if (!member) {
+            return false;
+        }
+
+        if (active) {
+            delete member.active;
+        } else {
+            member.active = false;
+        }
+        member.updatedAt = Date.now();
+        this.persist();
+        return true;
+    },
+
+    getActiveMembers() {
+        return this.members.filter(m => m.active !== false);
+    },
+
+    // Moves everything of one member onto another and removes the first, for duplicates
+    // like "Sam" and "Samir"; the target ends up paying and owing what both did
+    mergeMembers(sourceId, targetId) {
+        const source = this.getMember(sourceId);
+        const target = this.getMember(targetId);
+        if (!source || !target || sourceId === targetId) {
+            return null;
+        }
+
+        // One person cannot hold both places on a receipt item shared equally
+        const sharesItem = record => (record.items || []).some(
+            item => item.memberIds.includes(sourceId) && item.memberIds.includes(targetId)
+        );
+        if ([...this.expenses, ...this.recurring].some(sharesItem)) {
+            return null;
+        }
+
+        const now = Date.now();
+        [...this.expenses, ...this.recurring].forEach(record => {
+            if (this.mergeMemberIntoRecord(record, sourceId, targetId)) {
+                record.updatedAt = now;
+            }
+        });
+
+        // Payments between the two cancel out once they are one person
+        const internal = this.payments.filter(p => [p.from, p.to].includes(sourceId) && [p.from, p.to].includes(targetId));
+        this.addTombstones(internal.map(p => p.id));
+        this.payments = this.payments.filter(p => !internal.includes(p));
+        this.payments.forEach(payment => {
+            if (payment.from === sourceId || payment.to === sourceId) {
+                payment.from = payment.from === sourceId ? targetId : payment.from;
+                payment.to = payment.to === sourceId ? targetId : payment.to;
+                payment.updatedAt = now;
+            }
+        });
+
+        const group = this.getActiveGroup();
+        const limits = group.budgets.members;
+        if (limits[sourceId]) {
+            limits[targetId] = limits[targetId]
+                ? Decimal.add(limits[targetId], limits[sourceId], group.baseCurrency)
+                : limits[sourceId];
+            delete limits[sourceId];
+        }
+        if (group.treasurerId === sourceId) {
+            group.treasurerId = targetId;
+            this.touchSettings(group);
+        }
+
+        Object.keys(MEMBER_CONTACT_FIELDS).forEach(key => {
+            if (!target[key] && source[key]) target[key] = source[key];
+        });
+        target.updatedAt = now;
+
+        this.members = this.members.filter(m => m.id !== sourceId);
+        this.addTombstones([sourceId]);
+        this.persist();
+        return target;
+    },
+
+    // Returns whether the expense or recurring template involved the source member
+    mergeMemberIntoRecord(record, sourceId, targetId) {
+        const involved = record.paidBy === sourceId || sourceId in (record.payers || {}) ||
+            record.splitBetween.includes(sourceId) ||
+            (record.items || []).some(item => item.memberIds.includes(sourceId));
+        if (!involved) {
+            return false;
+        }
+
+        const currency = record.currency || this.baseCurrency;
+        const swap = id => (id === sourceId ? targetId : id);
+        const combine = (values, valueCurrency) => {
+            const combined = {};
+            Object.entries(values).forEach(([id, value]) => {
+                const key = swap(id);
+                combined[key] = combined[key] ? Decimal.add(combined[key], value, valueCurrency) : value;
+            });
+            return combined;
+        };
+
+        record.paidBy = swap(record.paidBy);
+        if (record.payers) {
+            record.payers = combine(record.payers, currency);
+            // A single payer is stored without payer amounts
+            if (Object.keys(record.payers).length === 1) delete record.payers;
+        }
+
+        // An equal split between both becomes two shares for the merged member
+        if (record.splitMode === 'equal' && record.splitBetween.includes(sourceId) && record.splitBetween.includes(targetId)) {
+            record.splitMode = 'shares';
+            record.splitValues = Object.fromEntries(record.splitBetween.map(id => [id, '1.00']));
+        }
+        if (record.splitMode === 'exact' || record.splitMode === 'percent' || record.splitMode === 'shares') {
+            record.splitValues = combine(record.splitValues || {}, record.splitMode === 'exact' ? currency : undefined);
+        }
+
+        record.splitBetween = [...new Set(record.splitBetween.map(swap))];
+        (record.items || []).forEach(item => {
+            item.memberIds = item.memberIds.map(swap);
+        });
+        return true;
+    },
+
+    addExpense(title, amount, paidBy, splitBetween, options = {}) {
+        const fields = this.validateExpenseFields(title, amount, paidBy, splitBetween, options);
+        if (!fields) {
+            return null;
+        }
+
+        const expense = {
+            id: this.generateId(),
+            ...fields,
+            createdAt: Date.now()
+        };
+
+        this.expenses.push(expense);
+        this.persist();
+        return expense;
+    },
+
+    // Adds many expenses with one write, e.g. a bank statement; entries that fail validation are left out
+    importExpenses(entries) {
+        const added = [];
+        entries.forEach(({ title, amount, paidBy, splitBetween, options = {} }) => {
+            const fields = this.validateExpenseFields(title, amount, paidBy, splitBetween, options);
+            if (fields) {
+                added.push({ id: this.generateId(), ...fields, createdAt: Date.now() });
+            }
+        });
+
+        if (added.length) {
+            this.expenses.push(...added);
+            this.persist();
+        }
+        return added;
+    },
+
+    updateExpense(expenseId, title, amount, paidBy, splitBetween, options = {}) {
+        const expense = this.getExpense(expenseId);
+        if (!expense) {
+            return null;
+        }
+
+        const fields = this.validateExpenseFields(title, amount, paidBy, splitBetween, options);
+        if (!fields) {
+            return null;
+        }
+
+        // Receipt details only exist on itemized expenses, payer amounts only on shared payments
+        delete expense.items;
+        delete expense.adjustments;
+        delete expense.payers;
+
+        Object.assign(expense, fields, { updatedAt: Date.now() });
+        this.persist();
+        return expense;
+    },
+
+    validateExpenseFields(title, amount, paidBy, splitBetween, options) {
+        const {
+            splitMode = 'equal',
+            splitValues = {},
+            currency = this.baseCurrency,
+            notes = '',
+            items = [],
+            adjustments = {}
+        } = options;
+        const date = options.date || Dates.today();
+        const category = String(options.category || '').trim() || 'other';
+
+        if (!title.trim() || !amount || !paidBy) {
+            return null;
+        }
+
+        if (!Dates.isValidKey(date) || typeof notes !== 'string') {
+            return null;
+        }
+
+        if (!this.isCurrencyAvailable(currency)) {
+            return null;
+        }
+
+        const cents = Decimal.toCents(amount, currency);
+        if (cents <= 0) {
+            return null;
+        }
+
+        if (!this.members.find(m => m.id === paidBy)) {
+            return null;
+        }
+
+        const payers = this.normalizePayers(cents, paidBy, options.payers, currency);
+        if (payers === null) {
+            return null;
+        }
+
+        // Itemized expenses are shared by whoever appears on the receipt
+        const receipt = splitMode === 'itemized' ? this.normalizeReceipt(cents, items, adjustments, currency) : null;
+        if (splitMode === 'itemized' && !receipt) {
+            return null;
+        }
+
+        const participants = receipt ? receipt.splitBetween : splitBetween;
+        // A member listed twice would get two shares written over one another
+        if (!participants.length || new Set(participants).size !== participants.length) {
+            return null;
+        }
+
+        for (const memberId of participants) {
+            if (!this.members.find(m => m.id === memberId)) {
+                return null;
+            }
+        }
+
+        const split = receipt
+            ? { mode: 'itemized', values: {} }
+            : this.normalizeSplit(cents, participants, splitMode, splitValues, currency);
+        if (!split) {
+            return null;
+        }
+
+        return {
+            title: title.trim(),
+            amount: Decimal.fromCents(cents, currency),
+            currency,
+            paidBy,
+            ...(payers ? { payers } : {}),
+            splitBetween: [...participants],
+            splitMode: split.mode,
+            splitValues: split.values,
+            ...(receipt ? { items: receipt.items, adjustments: receipt.adjustments } : {}),
+            date,
+            category,
+            notes: notes.trim()
+        };
+    },
+
+    // Returns false for a single payer, the payer amounts when several people paid, or null if invalid
+    normalizePayers(totalCents, paidBy, payers, currency, isMember = id => Boolean(this.getMember(id))) {
+        const entries = Object.entries(payers || {});
+        if (entries.length <= 1) {
+            return entries.length === 0 || entries[0][0] === paidBy ? false : null;
+        }
+
+        if (!entries.some(([memberId]) => memberId === paidBy)) {
+            return null;
+        }
+
+        const normalized = {};
+        let sum = 0;
+
+        for (const [memberId, value] of entries) {
+            const cents = Decimal.toCents(value, currency);
+            if (cents <= 0 || !isMember(memberId)) return null;
+            normalized[memberId] = Decimal.fromCents(cents, currency);
+            sum += cents;
+        }
+
+        return sum === totalCents ? normalized : null;
+    },
+
+    normalizeReceipt(totalCents, items, adjustments, currency, isMember = id => Boolean(this.getMember(id))) {
+        if (!Array.isArray(items) || items.length === 0) return null;
+
+        const normalizedItems = [];
+        let itemsCents = 0;
+
+        for (const item of items) {
+            const name = String(item?.name ?? '').trim();
+            const cents = Decimal.toCents(item?.amount ?? '', currency);
+            const memberIds = [...new Set(Array.isArray(item?.memberIds) ? item.memberIds : [])];
+
+            if (!name || cents <= 0 || memberIds.length === 0 || memberIds.some(id => !isMember(id))) {
+                return null;
+            }
+
+            normalizedItems.push({
+                id: this.isValidId(item.id) ? item.id : this.generateId(),
+                name,
+                amount: Decimal.fromCents(cents, currency),
+                memberIds
+            });
+            itemsCents += cents;
+        }
+
+        const normalizedAdjustments = {};
+        let adjustmentCents = 0;
+
+        for (const type of Object.keys(RECEIPT_ADJUSTMENTS)) {
+            const cents = Decimal.toCents(adjustments?.[type] ?? '', currency);
+            if (cents < 0) return null;
+
+            normalizedAdjustments[type] = Decimal.fromCents(cents, currency);
+            adjustmentCents += type === 'discount' ? -cents : cents;
+        }
+
+        if (Decimal.toCents(normalizedAdjustments.discount, currency) > itemsCents) return null;
+        if (itemsCents + adjustmentCents !== totalCents) return null;
+
+        return {
+            items: normalizedItems,
+            adjustments: normalizedAdjustments,
+            splitBetween: [...new Set(normalizedItems.flatMap(item => item.memberIds))]
+        };
+    },
+
+    isDuplicateExpense(fields) {
+        return this.expenses.some(expense =>
+            expense.title.toLowerCase() === fields.title.toLowerCase() &&
+            expense.amount === fields.amount &&
+            expense.paidBy === fields.paidBy &&
+            Dates.ofExpense(expense) === fields.date
+        );
+    },
+
+    normalizeSplit(totalCents, splitBetween, mode, values, currency) {
+        if (!SPLIT_MODES[mode]) return null;
+        if (mode === 'equal') return { mode, values: {} };
+
+        // Only exact amounts are money; percentages and shares always keep two decimals
+        const valueCurrency = mode === 'exact' ? currency : undefined;
+        const normalized = {};
+        let sumCents = 0;
+
+        for (const memberId of splitBetween) {
+            const cents = Decimal.toCents(values[memberId] ?? '', valueCurrency);
+            if (cents < 0 || (mode === 'shares' && cents === 0)) {
+                return null;
+            }
+            normalized[memberId] = Decimal.fromCents(cents, valueCurrency);
+            sumCents += cents;
+        }
+
+        // Exact amounts must cover the total, percentages must reach 100.00
+        if (mode === 'exact' && sumCents !== totalCents) return null;
+        if (mode === 'percent' && sumCents !== 10000) return null;
+        if (sumCents <= 0) return null;
+
+        return { mode, values: normalized };
+    },
+
+    removeExpense(expenseId) {
+        this.expenses = this.expenses.filter(e => e.id !== expenseId);
+        this.addTombstones([expenseId]);
+        this.persist();
+    },
+
+    addRecurring(title, amount, paidBy, splitBetween, options = {}) {
+        const fields = this.validateExpenseFields(title, amount, paidBy, splitBetween, options);
+        const schedule = this.validateSchedule({ ...options, startDate: fields?.date });
+        if (!fields || !schedule) {
+            return null;
+        }
+
+        const { date, ...expenseFields } = fields;
+        const template = {
+            id: this.generateId(),
+            ...expenseFields,
+            ...schedule,
+            nextIndex: 0,
+            skippedDates: [],
+            createdAt: Date.now()
+        };
+
+        this.recurring.push(template);
+        this.generateRecurringExpenses(this.getActiveGroup());
+        this.persist();
+        return template;
+    },
+
+    validateSchedule({ frequency, intervalDays, startDate, endDate }) {
+        if (!RECURRENCE_FREQUENCIES[frequency] || !Dates.isValidKey(startDate)) {
+            return null;
+        }
+
+        const interval = frequency === 'custom' ? Number(intervalDays) : null;
+        if (frequency === 'custom' && (!Number.isInteger(interval) || interval < 1 || interval > 365)) {
+            return null;
+        }
+
+        if (endDate && (!Dates.isValidKey(endDate) || endDate < startDate)) {
+            return null;
+        }
+
+        return {
+            frequency,
+            intervalDays: interval,
+            startDate,
+            endDate: endDate || null
+        };
+    },
+
+    // Occurrences are counted from the start date so monthly dates never drift
+    getOccurrenceDate(template, index) {
+        switch (template.frequency) {
+            case 'weekly':
+                return Dates.addDays(template.startDate, index * 7);
+            case 'monthly':
+                return Dates.addMonths(template.startDate, index, Number(template.startDate.slice(8)));
+            default:
+                return Dates.addDays(template.startDate, index * template.intervalDays);
+        }
+    },
+
+    getNextOccurrence(template) {
+        for (let index = template.nextIndex; ; index++) {
+            const date = this.getOccurrenceDate(template, index);
+            if (template.endDate && date > template.endDate) {
+                return null;
+            }
+            if (!template.skippedDates.includes(date)) {
+                return date;
+            }
+        }
+    },
+
+    generateRecurringExpenses(group, today = Dates.today()) {
+        let created = 0;
+
+        group.recurring.forEach(template => {
+            const { id, frequency, intervalDays, startDate, endDate, nextIndex, skippedDates, createdAt, ...fields } = template;
+
+            for (let date = this.getOccurrenceDate(template, template.nextIndex);
+                date <= today && (!endDate || date <= endDate);
+                date = this.getOccurrenceDate(template, template.nextIndex)) {
+                template.nextIndex++;
+
+                // Occurrence ids are derived from the date so synced devices create the same record
+                const occurrenceId = `${id}-${date}`;
+                if (skippedDates.includes(date) || occurrenceId in group.tombstones ||
+                    group.expenses.some(e => e.id === occurrenceId)) {
+                    continue;
+                }
+
+                // Each occurrence is an ordinary expense, so it can be edited on its own
+                group.expenses.push({
+                    ...JSON.parse(JSON.stringify(fields)),
+                    id: occurrenceId,
+                    date,
+                    recurringId: id,
+                    createdAt: Date.now()
+                });
+                created++;
+            }
+        });
+
+        return created;
+    },
+
+    skipOccurrence(expenseId) {
+        const expense = this.getExpense(expenseId);
+        if (!expense || !expense.recurringId) {
+            return false;
+        }
+
+        const template = this.getRecurring(expense.recurringId);
+        if (template && !template.skippedDates.includes(expense.date)) {
+            template.skippedDates.push(expense.date);
+            template.updatedAt = Date.now();
+        }
+
+        this.expenses = this.expenses.filter(e => e.id !== expenseId);
+        this.addTombstones([expenseId]);
+        this.persist();
+        return true;
+    },
+
+    skipNextOccurrence(recurringId) {
+        const template = this.getRecurring(recurringId);
+        const date = template && this.getNextOccurrence(template);
+        if (!date) {
+            return null;
+        }
+
+        template.skippedDates.push(date);
+        template.updatedAt = Date.now();
+        this.persist();
+        return date;
+    },
+
+    // Expenses already created from the template are kept
+    removeRecurring(recurringId) {
+        this.recurring = this.recurring.filter(t => t.id !== recurringId);
+        this.addTombstones([recurringId]);
+        this.persist();
+    },
+
+    addPayment(from, to, amount) {
+        const cents = Decimal.toCents(amount, this.baseCurrency);
+        if (cents <= 0 || from === to || !this.getMember(from) || !this.getMember(to)) {
+            return null;
+        }
+
+        const payment = {
+            id: this.generateId(),
+            from,
+            to,
+            amount: Decimal.fromCents(cents, this.baseCurrency),
+            currency: this.baseCurrency,
+            createdAt: Date.now()
+        };
+
+        this.payments.push(payment);
+        this.persist();
+        return payment;
+    },
+
+    removePayment(paymentId) {
+        this.payments = this.payments.filter(p => p.id !== paymentId);
+        this.addTombstones([paymentId]);
+        this.persist();
+    },
+
+    getCalculationOptions() {
+        return {
+            baseCurrency: this.baseCurrency,
+            rates: this.rates,
+            payments: this.payments
+        };
+    },
+
+    setSettlementStrategy(strategy, treasurerId = null) {
+        if (!SETTLEMENT_STRATEGIES[strategy]) {
+            return false;
+        }
+
+        const group = this.getActiveGroup();
+        group.settlementStrategy = strategy;
+        group.treasurerId = treasurerId;
+        this.touchSettings(group);
+        this.persist();
+        return true;
+    },
+
+    getSettlementOptions() {
+        const group = this.getActiveGroup();
+        return {
+            strategy: group.settlementStrategy,
+            treasurerId: group.treasurerId,
+            expenses: group.expenses,
+            currency: group.baseCurrency
+        };
+    },
+
+    // scope is 'total', 'category' or 'member'; an empty or zero amount removes the limit
+    setBudget(scope, key, amount) {
+        const group = this.getActiveGroup();
+        const cents = Decimal.toCents(amount, group.baseCurrency);
+        if (cents < 0) {
+            return false;
+        }
+
+        const limit = cents > 0 ? Decimal.fromCents(cents, group.baseCurrency) : null;
+
+        if (scope === 'total') {
+            group.budgets.total = limit;
+        } else if (scope === 'category' || scope === 'member') {
+            const target = String(key || '').trim();
+            if (!target || (scope === 'member' && !this.getMember(target))) {
+                return false;
+            }
+
+            const limits = scope === 'category' ? group.budgets.categories : group.budgets.members;
+            if (limit) {
+                limits[target] = limit;
+            } else {
+                delete limits[target];
+            }
+        } else {
+            return false;
+        }
+
+        this.touchSettings(group);
+        this.persist();
+        return true;
+    },
+
+    isCurrencyAvailable(currency) {
+        return currency === this.baseCurrency || Boolean(this.rates[currency]);
+    },
+
+    normalizeRate(rate) {
+        const value = parseFloat(String(rate).trim());
+        if (!isFinite(value) || value <= 0) return null;
+        return String(Math.round(value * 1e6) / 1e6);
+    },
+
+    setRate(currency, rate) {
+        const normalized = this.normalizeRate(rate);
+        if (!CURRENCIES.includes(currency) || currency === this.baseCurrency || !normalized || normalized === '0') {
+            return false;
+        }
+
+        this.rates[currency] = normalized;
+        this.touchSettings();
+        this.persist();
+        return true;
+    },
+
+    removeRate(currency) {
+        if ([...this.expenses, ...this.payments, ...this.recurring].some(record => record.currency === currency)) {
+            return false;
+        }
+
+        delete this.rates[currency];
+        this.touchSettings();
+        this.persist();
+        return true;
+    },
+
+    importRates(text) {
+        let entries;
+        try {
+            const parsed = JSON.parse(text);
+            entries = Object.entries(parsed && typeof parsed === 'object' ? parsed : {});
+        } catch (error) {
+            // Plain "USD=83.10" or "USD,83.10" lines
+            entries = text
+                .split(/\r?\n/)
+                .map(line => line.split(/[=,:\s]+/).filter(Boolean))
+                .filter(parts => parts.length === 2);
+        }
+
+        let imported = 0;
+        entries.forEach(([currency, rate]) => {
+            if (this.setRate(String(currency).trim().toUpperCase(), rate)) {
+                imported++;
+            }
+        });
+        return imported;
+    },
+
+    setBaseCurrency(currency) {
+        const group = this.getActiveGroup();
+        if (!CURRENCIES.includes(currency)) return false;
+        if (currency === group.baseCurrency) return true;
+
+        // Re-express every rate relative to the new base currency
+        const newBaseRate = parseFloat(group.rates[currency]);
+        if (!newBaseRate && (group.expenses.length || group.payments.length || Object.keys(group.rates).length)) {
+            return false;
+        }
+
+        const rates = {};
+        if (newBaseRate) {
+            rates[group.baseCurrency] = this.normalizeRate(1 / newBaseRate);
+            Object.entries(group.rates).forEach(([code, rate]) => {
+                if (code !== currency) {
+                    rates[code] = this.normalizeRate(parseFloat(rate) / newBaseRate);
+                }
+            });
+        }
+
+        // Expenses recorded before currencies existed were in the old base
+        group.expenses.forEach(expense => {
+            if (!expense.currency) expense.currency = group.baseCurrency;
+        });
+
+        // Budgets keep their value in the new currency, rounded to its minor unit
+        const oldScale = Decimal.scale(group.baseCurrency);
+        const convert = amount => newBaseRate
+            ? Decimal.fromNumber(Decimal.toCents(amount, group.baseCurrency) / 10 ** oldScale / newBaseRate, currency)
+            : amount;
+        group.budgets = this.sanitizeBudgets({
+            total: group.budgets.total && convert(group.budgets.total),
+            categories: Object.fromEntries(Object.entries(group.budgets.categories).map(([key, amount]) => [key, convert(amount)])),
+            members: Object.fromEntries(Object.entries(group.budgets.members).map(([key, amount]) => [key, convert(amount)]))
+        }, currency);
+
+        group.baseCurrency = currency;
+        group.rates = rates;
+        this.touchSettings(group);
+        this.persist();
+        return true;
+    },
+
+    setShowOriginalCurrencies(show) {
+        this.getActiveGroup().showOriginalCurrencies = show;
+        this.persist();
+    },
+
+    importGroup(data, mode = 'merge') {
+        if (!data || data.app !== EXPORT_FORMAT.app || typeof data.version !== 'number' ||
+            data.version > EXPORT_FORMAT.version || !data.group || typeof data.group !== 'object') {
+            return null;
+        }
+
+        const imported = this.sanitizeGroup({ ...data.group, id: 'import' });
+        const group = this.getActiveGroup();
+        const result = { members: 0, expenses: 0, payments: 0, recurring: 0, skipped: 0 };
+
+        if (mode === 'replace') {
+            this.addTombstones(
+                [...group.members, ...group.expenses, ...group.payments, ...group.recurring].map(record => record.id),
+                group
+            );
+            this.touchSettings(group);
+            group.members = [];
+            group.expenses = [];
+            group.payments = [];
+            group.recurring = [];
+            group.baseCurrency = imported.baseCurrency;
+            group.rates = {};
+            group.settlementStrategy = imported.settlementStrategy;
+            group.treasurerId = imported.treasurerId;
+        }
+
+        Object.entries(imported.rates).forEach(([currency, rate]) => {
+            if (!group.rates[currency]) {
+                this.setRate(currency, rate);
+            }
+        });
+
+        // Imported member ids may point at existing members with the same name
+        const memberIdMap = {};
+        imported.members.forEach(member => {
+            if (!member || !this.isValidId(member.id) || typeof member.name !== 'string' || !member.name.trim()) {
+                result.skipped++;
+                return;
+            }
+
+            const name = member.name.trim();
+            const existing = group.members.find(
+                m => m.id === member.id || m.name.toLowerCase() === name.toLowerCase()
+            );
+            if (existing) {
+                memberIdMap[member.id] = existing.id;
+                return;
+            }
+
+            group.members.push({ ...member, name, createdAt: member.createdAt || Date.now() });
+            memberIdMap[member.id] = member.id;
+            result.members++;
+        });
+
+        imported.expenses.forEach(expense => {
+            if (!expense || !this.isValidId(expense.id) || typeof expense.title !== 'string' || !Array.isArray(expense.splitBetween)) {
+                result.skipped++;
+                return;
+            }
+
+            if (group.expenses.some(e => e.id === expense.id)) {
+                return;
+            }
+
+            const fields = this.remapExpenseFields(
+                expense,
+                memberIdMap,
+                imported.baseCurrency,
+                expense.date || Dates.ofExpense({ createdAt: expense.createdAt || Date.now() })
+            );
+
+            if (!fields) {
+                result.skipped++;
+                return;
+            }
+
+            group.expenses.push({ ...expense, ...fields, createdAt: expense.createdAt || Date.now() });
+            result.expenses++;
+        });
+
+        imported.recurring.forEach(template => {
+            if (!template || !this.isValidId(template.id)) {
+                result.skipped++;
+                return;
+            }
+
+            if (group.recurring.some(t => t.id === template.id)) {
+                return;
+            }
+
+            const fields = typeof template.title === 'string' && Array.isArray(template.splitBetween)
+                ? this.remapExpenseFields(template, memberIdMap, imported.baseCurrency, template.startDate)
+                : null;
+            const schedule = this.validateSchedule(template);
+
+            if (!fields || !schedule) {
+                result.skipped++;
+                return;
+            }
+
+            const { date, ...expenseFields } = fields;
+            group.recurring.push({
+                id: template.id,
+                ...expenseFields,
+                ...schedule,
+                nextIndex: Number.isInteger(template.nextIndex) && template.nextIndex > 0 ? template.nextIndex : 0,
+                skippedDates: (Array.isArray(template.skippedDates) ? template.skippedDates : []).filter(d => Dates.isValidKey(d)),
+                createdAt: template.createdAt || Date.now()
+            });
+            result.recurring++;
+        });
+
+        imported.payments.forEach(payment => {
+            if (!payment || !this.isValidId(payment.id)) {
+                result.skipped++;
+                return;
+            }
+
+            if (group.payments.some(p => p.id === payment.id)) {
+                return;
+            }
+
+            const from = memberIdMap[payment.from];
+            const to = memberIdMap[payment.to];
+            const currency = payment.currency || imported.baseCurrency;
+            const cents = Decimal.toCents(payment.amount, currency);
+
+            if (!from || !to || from === to || cents <= 0 || !this.isCurrencyAvailable(currency)) {
+                result.skipped++;
+                return;
+            }
+
+            group.payments.push({
+                ...payment,
+                from,
+                to,
+                amount: Decimal.fromCents(cents, currency),
+                currency,
+                createdAt: payment.createdAt || Date.now()
+            });
+            result.payments++;
+        });
+
+        if (group.treasurerId && !this.getMember(group.treasurerId)) {
+            group.treasurerId = memberIdMap[group.treasurerId] || null;
+        }
+
+        if (mode === 'replace') {
+            group.budgets = {
+                ...imported.budgets,
+                members: Object.fromEntries(Object.entries(imported.budgets.members)
+                    .filter(([memberId]) => memberIdMap[memberId])
+                    .map(([memberId, amount]) => [memberIdMap[memberId], amount]))
+            };
+        }
+
+        // Records brought back by a replace import are live again
+        [...group.members, ...group.expenses, ...group.payments, ...group.recurring].forEach(record => {
+            delete group.tombstones[record.id];
+        });
+
+        this.generateRecurringExpenses(group);
+        this.persist();
+        return result;
+    },
+
+    mergeSyncedGroup(remote) {
+        let group = this.getGroup(remote.id);
+        if (!group) {
+            group = this.sanitizeGroup({ id: remote.id, name: remote.name, createdAt: remote.createdAt });
+            this.groups.push(group);
+        }
+
+        const { merged, changes } = Sync.merge(group, this.sanitizeGroup(remote));
+        Object.assign(group, merged);
+
+        // Records whose members did not come along are set aside like on load
+        const quarantined = Integrity.check(group);
+        this.quarantine.push(...quarantined);
+
+        this.generateRecurringExpenses(group);
+        this.activeGroupId = group.id;
+        this.persist();
+        return { group, ...changes, quarantined: quarantined.length };
+    },
+
+    // Validates an imported expense or template against this group's member ids
+    remapExpenseFields(expense, memberIdMap, baseCurrency, date) {
+        const splitValues = {};
+        Object.entries(expense.splitValues || {}).forEach(([memberId, value]) => {
+            splitValues[memberIdMap[memberId]] = value;
+        });
+
+        const payers = {};
+        Object.entries(expense.payers || {}).forEach(([memberId, value]) => {
+            payers[memberIdMap[memberId]] = value;
+        });
+
+        return this.validateExpenseFields(
+            expense.title,
+            expense.amount,
+            memberIdMap[expense.paidBy],
+            // Two imported members can match the same existing one
+            [...new Set(expense.splitBetween.map(id => memberIdMap[id]))],
+            {
+                payers,
+                splitMode: expense.splitMode || 'equal',
+                splitValues,
+                currency: expense.currency || baseCurrency,
+                date,
+                category: expense.category,
+                notes: typeof expense.notes === 'string' ? expense.notes : '',
+                items: (Array.isArray(expense.items) ? expense.items : []).map(item => ({
+                    ...item,
+                    memberIds: (Array.isArray(item?.memberIds) ? item.memberIds : []).map(id => memberIdMap[id])
+                })),
+                adjustments: expense.adjustments
+            }
+        );
+    },
+
+    saveFeedback(rating, text) {
+        this.feedback = {
+            rating,
+            text: text.trim(),
+            timestamp: Date.now()
+        };
+        this.persist();
+    },
+
+    clearAll() {
+        this.addTombstones([...this.members, ...this.expenses, ...this.payments, ...this.recurring].map(record => record.id));
+        this.members = [];
+        this.expenses = [];
+        this.payments = [];
+        this.recurring = [];
+        this.currentStep = 1;
+        this.feedback = null;
+        this.persist();
+    },
+
+    generateId() {
+        return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    },
+
+    isValidId(id) {
+        return typeof id === 'string' && RECORD_ID_PATTERN.test(id);
+    },
+
+    getMember(memberId) {
+        return this.members.find(m => m.id === memberId);
+    },
+
+    findMemberByName(name) {
+        const normalized = name.trim().toLowerCase();
+        return this.members.find(m => m.name.toLowerCase() === normalized);
+    },
+
+    getExpense(expenseId) {
+        return this.expenses.find(e => e.id === expenseId);
+    },
+
+    getRecurring(recurringId) {
+        return this.recurring.find(t => t.id === recurringId);
+    }
+};
+
+// Calculation Engine
+
+const Calculator = {
+    calculateExpenseShares(expense) {
+        const shares = {};
+        const splitCount = expense.splitBetween.length;
+        
+        if (splitCount === 0) return shares;
+
+        const values = expense.splitValues || {};
+        const currency = expense.currency;
+        let amounts;
+
+        switch (expense.splitMode) {
+            case 'itemized':
+                return this.calculateItemizedShares(expense);
+            case 'exact':
+                amounts = expense.splitBetween.map(id => Decimal.fromCents(Decimal.toCents(values[id], currency), currency));
+                break;
+            case 'percent':
+            case 'shares':
+                amounts = Decimal.allocate(
+                    expense.amount,
+                    expense.splitBetween.map(id => Decimal.toCents(values[id])),
+                    currency
+                );
+                break;
+            default:
+                amounts = Decimal.divideEqually(expense.amount, splitCount, currency);
+        }
+        
+        expense.splitBetween.forEach((memberId, index) => {
+            shares[memberId] = amounts[index];
+        });
+
+        return shares;
+    },
+
+    // Each item is divided equally among its members; extras follow each member's item subtotal
+    calculateItemizedShares(expense) {
+        const memberIds = expense.splitBetween;
+        const currency = expense.currency;
+        const subtotals = {};
+        memberIds.forEach(id => {
+            subtotals[id] = 0;
+        });
+
+        (expense.items || []).forEach(item => {
+            Decimal.divideEqually(item.amount, item.memberIds.length, currency).forEach((share, index) => {
+                subtotals[item.memberIds[index]] += Decimal.toCents(share, currency);
+            });
+        });
+
+        const adjustments = expense.adjustments || {};
+        const weights = memberIds.map(id => subtotals[id]);
+        const extrasCents = ['tax', 'service', 'tip']
+            .reduce((sum, type) => sum + Decimal.toCents(adjustments[type] || '0', currency), 0);
+        const extras = Decimal.allocate(Decimal.fromCents(extrasCents, currency), weights, currency);
+        const discounts = Decimal.allocate(adjustments.discount || '0', weights, currency);
+
+        const shares = {};
+        memberIds.forEach((memberId, index) => {
+            shares[memberId] = Decimal.fromCents(
+                subtotals[memberId] + Decimal.toCents(extras[index] || '0', currency) - Decimal.toCents(discounts[index] || '0', currency),
+                currency
+            );
+        });
+        return shares;
+    },
+
+    // Minor units of one currency to minor units of the base, which may have a different number of decimals
+    convertCents(cents, currency, baseCurrency, rates) {
+        if (!currency || currency === baseCurrency) return cents;
+        const rate = parseFloat(rates[currency]);
+        const scaleShift = 10 ** (Decimal.scale(baseCurrency) - Decimal.scale(currency));
+        return Math.round(cents * (rate > 0 ? rate : 1) * scaleShift);
+    },
+
+    // How much each payer put in; most expenses have a single payer covering the full amount
+    calculateExpensePayments(expense) {
+        return expense.payers ? { ...expense.payers } : { [expense.paidBy]: expense.amount };
+    },
+
+    calculateBasePayments(expense, baseCurrency, rates) {
+        const payments = this.calculateExpensePayments(expense);
+        if (!expense.currency || expense.currency === baseCurrency) return payments;
+
+        const memberIds = Object.keys(payments);
+        const baseCents = this.convertCents(Decimal.toCents(expense.amount, expense.currency), expense.currency, baseCurrency, rates);
+        const amounts = Decimal.allocate(
+            Decimal.fromCents(baseCents, baseCurrency),
+            memberIds.map(id => Decimal.toCents(payments[id], expense.currency)),
+            baseCurrency
+        );
+
+        const basePayments = {};
+        memberIds.forEach((memberId, index) => {
+            basePayments[memberId] = amounts[index];
+        });
+        return basePayments;
+    },
+
+    // Expense shares expressed in the base currency, still summing to the converted total
+    calculateBaseShares(expense, baseCurrency, rates) {
+        const shares = this.calculateExpenseShares(expense);
+        if (!expense.currency || expense.currency === baseCurrency) return shares;
+
+        const memberIds = Object.keys(shares);
+        const baseCents = this.convertCents(Decimal.toCents(expense.amount, expense.currency), expense.currency, baseCurrency, rates);
+        const amounts = Decimal.allocate(
+            Decimal.fromCents(baseCents, baseCurrency),
+            memberIds.map(id => Decimal.toCents(shares[id], expense.currency)),
+            baseCurrency
+        );
+
+        const baseShares = {};
+        memberIds.forEach((memberId, index) => {
+            baseShares[memberId] = amounts[index];
+        });
+        return baseShares;
+    },
+
+    calculateBalances(members, expenses, { baseCurrency = 'INR', rates = {}, payments = [] } = {}) {
+        const zero = Decimal.fromCents(0, baseCurrency);
+        const balances = members.map(member => ({
+            memberId: member.id,
+            name: member.name,
+            totalPaid: zero,
+            totalOwed: zero,
+            netBalance: zero
+        }));
+
+        const balanceMap = {};
+        members.forEach(member => {
+            balanceMap[member.id] = {
+                paidCents: 0,
+                owedCents: 0,
+                sentCents: 0,
+                receivedCents: 0,
+                paidByCurrency: {},
+                owedByCurrency: {}
+            };
+        });
+
+        const addToCurrency = (totals, currency, cents) => {
+            totals[currency] = (totals[currency] || 0) + cents;
+        };
+
+        expenses.forEach(expense => {
+            const currency = expense.currency || baseCurrency;
+            const originalContributions = this.calculateExpensePayments(expense);
+            const contributions = this.calculateBasePayments(expense, baseCurrency, rates);
+            Object.entries(contributions).forEach(([memberId, paidAmount]) => {
+                balanceMap[memberId].paidCents += Decimal.toCents(paidAmount, baseCurrency);
+                addToCurrency(balanceMap[memberId].paidByCurrency, currency, Decimal.toCents(originalContributions[memberId], currency));
+            });
+
+            const originalShares = this.calculateExpenseShares(expense);
+            const shares = this.calculateBaseShares(expense, baseCurrency, rates);
+            Object.entries(shares).forEach(([memberId, shareAmount]) => {
+                balanceMap[memberId].owedCents += Decimal.toCents(shareAmount, baseCurrency);
+                addToCurrency(balanceMap[memberId].owedByCurrency, currency, Decimal.toCents(originalShares[memberId], currency));
+            });
+        });
+
+        // Recorded settlement payments move the debtor up and the creditor down
+        payments.forEach(payment => {
+            const cents = this.convertCents(Decimal.toCents(payment.amount, payment.currency || baseCurrency), payment.currency, baseCurrency, rates);
+            balanceMap[payment.from].sentCents += cents;
+            balanceMap[payment.to].receivedCents += cents;
+        });
+
+        const toAmounts = totals => Object.fromEntries(
+            Object.entries(totals).map(([currency, cents]) => [currency, Decimal.fromCents(cents, currency)])
+        );
+
+        balances.forEach(balance => {
+            const data = balanceMap[balance.memberId];
+            balance.totalPaid = Decimal.fromCents(data.paidCents, baseCurrency);
+            balance.totalOwed = Decimal.fromCents(data.owedCents, baseCurrency);
+            balance.paymentsSent = Decimal.fromCents(data.sentCents, baseCurrency);
+            balance.paymentsReceived = Decimal.fromCents(data.receivedCents, baseCurrency);
+            balance.netBalance = Decimal.fromCents(
+                data.paidCents - data.owedCents + data.sentCents - data.receivedCents,
+                baseCurrency
+            );
+            balance.paidByCurrency = toAmounts(data.paidByCurrency);
+            balance.owedByCurrency = toAmounts(data.owedByCurrency);
+        });
+
+        return balances;
+    },
+
+    // Every expense and payment touching one member, oldest first, with a running balance
+    // in the base currency that ends at the member's net balance from calculateBalances
+    calculateMemberStatement(memberId, expenses, { baseCurrency = 'INR', rates = {}, payments = [] } = {}) {
+        const entries = [];
+
+        expenses.forEach(expense => {
+            const paid = this.calculateBasePayments(expense, baseCurrency, rates)[memberId];
+            const share = this.calculateBaseShares(expense, baseCurrency, rates)[memberId];
+            if (!paid && !share) return;
+
+            const paidCents = Decimal.toCents(paid || '0', baseCurrency);
+            const shareCents = Decimal.toCents(share || '0', baseCurrency);
+            entries.push({
+                type: 'expense',
+                id: expense.id,
+                date: Dates.ofExpense(expense),
+                createdAt: expense.createdAt,
+                title: expense.title,
+                amount: expense.amount,
+                currency: expense.currency || baseCurrency,
+                originalPaid: this.calculateExpensePayments(expense)[memberId] || null,
+                originalShare: this.calculateExpenseShares(expense)[memberId] || null,
+                paid: Decimal.fromCents(paidCents, baseCurrency),
+                share: Decimal.fromCents(shareCents, baseCurrency),
+                changeCents: paidCents - shareCents
+            });
+        });
+
+        // Paying someone back moves the sender's balance up and the receiver's down
+        payments
+            .filter(payment => payment.from === memberId || payment.to === memberId)
+            .forEach(payment => {
+                const sent = payment.from === memberId;
+                const currency = payment.currency || baseCurrency;
+                const cents = this.convertCents(Decimal.toCents(payment.amount, currency), currency, baseCurrency, rates);
+                entries.push({
+                    type: 'payment',
+                    id: payment.id,
+                    date: Dates.toKey(payment.createdAt),
+                    createdAt: payment.createdAt,
+                    direction: sent ? 'sent' : 'received',
+                    counterpartyId: sent ? payment.to : payment.from,
+                    amount: payment.amount,
+                    currency,
+                    changeCents: sent ? cents : -cents
+                });
+            });
+
+        entries.sort((a, b) => a.date.localeCompare(b.date) || a.createdAt - b.createdAt);
+
+        const totals = { paid: 0, share: 0, sent: 0, received: 0 };
+        let balanceCents = 0;
+        const statementEntries = entries.map(({ changeCents, ...entry }) => {
+            if (entry.type === 'expense') {
+                totals.paid += Decimal.toCents(entry.paid, baseCurrency);
+                totals.share += Decimal.toCents(entry.share, baseCurrency);
+            } else {
+                totals[entry.direction] += Math.abs(changeCents);
+            }
+
+            balanceCents += changeCents;
+            return {
+                ...entry,
+                change: Decimal.fromCents(changeCents, baseCurrency),
+                balance: Decimal.fromCents(balanceCents, baseCurrency)
+            };
+        });
+
+        return {
+            memberId,
+            currency: baseCurrency,
+            entries: statementEntries,
+            totalPaid: Decimal.fromCents(totals.paid, baseCurrency),
+            totalShare: Decimal.fromCents(totals.share, baseCurrency),
+            paymentsSent: Decimal.fromCents(totals.sent, baseCurrency),
+            paymentsReceived: Decimal.fromCents(totals.received, baseCurrency),
+            balance: Decimal.fromCents(balanceCents, baseCurrency)
+        };
+    },
+
+    calculateBreakdown(expenses, { baseCurrency = 'INR', rates = {} } = {}) {
+        const byCategory = {};
+        const byMember = {};
+        const byDay = {};
+
+        expenses.forEach(expense => {
+            const cents = this.convertCents(Decimal.toCents(expense.amount, expense.currency), expense.currency, baseCurrency, rates);
+            const category = expense.category || 'other';
+            const day = Dates.ofExpense(expense);
+
+            byCategory[category] = (byCategory[category] || 0) + cents;
+            byDay[day] = (byDay[day] || 0) + cents;
+
+            Object.entries(this.calculateBaseShares(expense, baseCurrency, rates)).forEach(([memberId, share]) => {
+                byMember[memberId] = (byMember[memberId] || 0) + Decimal.toCents(share, baseCurrency);
+            });
+        });
+
+        const toList = totals => Object.entries(totals).map(([key, cents]) => ({ key, amount: Decimal.fromCents(cents, baseCurrency) }));
+
+        return {
+            byCategory: toList(byCategory).sort((a, b) => Decimal.compare(b.amount, a.amount)),
+            byMember: toList(byMember).sort((a, b) => Decimal.compare(b.amount, a.amount)),
+            byDay: toList(byDay).sort((a, b) => a.key.localeCompare(b.key))
+        };
+    },
+
+    // Spending against each budget limit, in the base currency; member limits cover their shares
+    calculateBudgetUsage(expenses, budgets, options = {}) {
+        const breakdown = this.calculateBreakdown(expenses, options);
+        const currency = options.baseCurrency || 'INR';
+        const toCentsMap = list => Object.fromEntries(list.map(item => [item.key, Decimal.toCents(item.amount, currency)]));
+        const byCategory = toCentsMap(breakdown.byCategory);
+        const byMember = toCentsMap(breakdown.byMember);
+        const usage = [];
+
+        const addUsage = (scope, key, limit, spentCents) => {
+            const limitCents = Decimal.toCents(limit, currency);
+            usage.push({
+                scope,
+                key,
+                limit,
+                spent: Decimal.fromCents(spentCents, currency),
+                remaining: Decimal.fromCents(limitCents - spentCents, currency),
+                over: spentCents > limitCents
+            });
+        };
+
+        if (budgets.total) {
+            addUsage('total', null, budgets.total, Object.values(byCategory).reduce((sum, cents) => sum + cents, 0));
+        }
+        Object.entries(budgets.categories).forEach(([key, limit]) => addUsage('category', key, limit, byCategory[key] || 0));
+        Object.entries(budgets.members).forEach(([key, limit]) => addUsage('member', key, limit, byMember[key] || 0));
+
+        return usage;
+    },
+
+    // Limits that are over after a change and got worse because of it
+    findBudgetOverruns(expensesBefore, expensesAfter, budgets, options = {}) {
+        const before = this.calculateBudgetUsage(expensesBefore, budgets, options);
+        return this.calculateBudgetUsage(expensesAfter, budgets, options)
+            .filter((entry, index) => entry.over && Decimal.compare(entry.spent, before[index].spent) > 0);
+    },
+
+    // The exact subgroup search is exponential, so larger groups fall back to greedy
+    MAX_OPTIMAL_MEMBERS: 16,
+
+    calculateSettlements(balances, options) {
+        return this.planSettlements(balances, options).settlements;
+    },
+
+    // Balances and settlements are in the base currency, passed as currency
+    planSettlements(balances, { strategy = 'fewest', expenses = [], treasurerId = null, currency = 'INR' } = {}) {
+        const unsettled = balances.filter(b => !Decimal.isZero(b.netBalance));
+
+        if (strategy === 'treasurer') {
+            // The chosen treasurer usually has a zero balance, so they are looked up among everyone
+            return { strategy, approximate: false, settlements: this.settleThroughTreasurer(balances, treasurerId, currency) };
+        }
+
+        if (strategy === 'shared') {
+            // Zero-balance members may still be needed to pass money along
+            return { strategy, approximate: false, settlements: this.settleWithinSharedExpenses(balances, expenses, currency) };
+        }
+
+        if (unsettled.length > this.MAX_OPTIMAL_MEMBERS) {
+            return { strategy: 'fewest', approximate: true, settlements: this.settleGreedily(unsettled, currency) };
+        }
+
+        return { strategy: 'fewest', approximate: false, settlements: this.settleMinimum(unsettled, currency) };
+    },
+
+    createSettlement(from, to, cents, currency) {
+        return {
+            from: from.name,
+            fromId: from.memberId,
+            to: to.name,
+            toId: to.memberId,
+            amount: Decimal.fromCents(cents, currency)
+        };
+    },
+
+    // Splits members into as many zero-sum subgroups as possible; each subgroup of
+    // k members then settles in k - 1 transfers, which is the overall minimum.
+    settleMinimum(balances, currency) {
+        const count = balances.length;
+        const size = 1 << count;
+        const cents = balances.map(b => Decimal.toCents(b.netBalance, currency));
+        const sums = new Array(size).fill(0);
+        const subgroups = new Array(size).fill(0);
+
+        for (let mask = 1; mask < size; mask++) {
+            const lowestBit = mask & -mask;
+            sums[mask] = sums[mask ^ lowestBit] + cents[31 - Math.clz32(lowestBit)];
+
+            let best = 0;
+            for (let i = 0; i < count; i++) {
+                if (mask & (1 << i)) {
+                    best = Math.max(best, subgroups[mask ^ (1 << i)]);
+                }
+            }
+            subgroups[mask] = best + (sums[mask] === 0 ? 1 : 0);
+        }
+
+        // Recover the order members were added in; the running sum hits zero at each subgroup boundary
+        const order = [];
+        let mask = size - 1;
+        while (mask) {
+            const target = subgroups[mask] - (sums[mask] === 0 ? 1 : 0);
+            for (let i = 0; i < count; i++) {
+                const bit = 1 << i;
+                if ((mask & bit) && subgroups[mask ^ bit] === target) {
+                    order.unshift(i);
+                    mask ^= bit;
+                    break;
+                }
+            }
+        }
+
+        const settlements = [];
+        let subgroup = [];
+        let runningCents = 0;
+
+        order.forEach(index => {
+            subgroup.push(balances[index]);
+            runningCents += cents[index];
+
+            if (runningCents === 0) {
+                settlements.push(...this.settleGreedily(subgroup, currency));
+                subgroup = [];
+            }
+        });
+
+        return settlements;
+    },
+
+    settleThroughTreasurer(balances, treasurerId, currency) {
+        const unsettled = balances.filter(b => !Decimal.isZero(b.netBalance));
+        if (unsettled.length === 0) return [];
+
+        const treasurer = balances.find(b => b.memberId === treasurerId)
+            || [...unsettled].sort((a, b) => Decimal.compare(b.netBalance, a.netBalance))[0];
+        const treasurerRef = { memberId: treasurer.memberId, name: treasurer.name };
+
+        return unsettled
+            .filter(b => b.memberId !== treasurer.memberId)
+            .map(b => {
+                const cents = Decimal.toCents(b.netBalance, currency);
+                return cents < 0
+                    ? this.createSettlement(b, treasurerRef, -cents, currency)
+                    : this.createSettlement(treasurerRef, b, cents, currency);
+            });
+    },
+
+    // Debts move only between members who shared an expense, passing through
+    // intermediaries when a debtor shares nothing with any creditor.
+    settleWithinSharedExpenses(balances, expenses, currency) {
+        const remaining = {};
+        const members = {};
+        balances.forEach(b => {
+            remaining[b.memberId] = Decimal.toCents(b.netBalance, currency);
+            members[b.memberId] = b;
+        });
+
+        const links = {};
+        const link = (a, b) => {
+            (links[a] = links[a] || new Set()).add(b);
+        };
+        expenses.forEach(expense => {
+            const involved = [...new Set([...Object.keys(this.calculateExpensePayments(expense)), ...expense.splitBetween])];
+            involved.forEach(a => involved.forEach(b => {
+                if (a !== b) link(a, b);
+            }));
+        });
+
+        const findPathToCreditor = (start) => {
+            const previous = { [start]: null };
+            const queue = [start];
+
+            while (queue.length) {
+                const current = queue.shift();
+                if (current !== start && remaining[current] > 0) {
+                    const path = [current];
+                    while (previous[path[0]] !== null) path.unshift(previous[path[0]]);
+                    return path;
+                }
+
+                // Visit the biggest creditors first so direct payments are preferred
+                [...(links[current] || [])]
+                    .filter(next => !(next in previous))
+                    .sort((a, b) => (remaining[b] || 0) - (remaining[a] || 0))
+                    .forEach(next => {
+                        previous[next] = current;
+                        queue.push(next);
+                    });
+            }
+            return null;
+        };
+
+        const flows = new Map();
+        const addFlow = (from, to, cents) => {
+            const reverseKey = `${to}|${from}`;
+            const reverse = flows.get(reverseKey) || 0;
+            const offset = Math.min(reverse, cents);
+            if (offset) flows.set(reverseKey, reverse - offset);
+            if (cents > offset) {
+                const key = `${from}|${to}`;
+                flows.set(key, (flows.get(key) || 0) + cents - offset);
+            }
+        };
+
+        const debtors = balances
+            .filter(b => remaining[b.memberId] < 0)
+            .sort((a, b) => remaining[a.memberId] - remaining[b.memberId]);
+
+        debtors.forEach(debtor => {
+            while (remaining[debtor.memberId] < 0) {
+                const path = findPathToCreditor(debtor.memberId);
+                if (!path) break;
+
+                const creditorId = path[path.length - 1];
+                const cents = Math.min(-remaining[debtor.memberId], remaining[creditorId]);
+                for (let i = 1; i < path.length; i++) {
+                    addFlow(path[i - 1], path[i], cents);
+                }
+                remaining[debtor.memberId] += cents;
+                remaining[creditorId] -= cents;
+            }
+        });
+
+        const settlements = [];
+        flows.forEach((cents, key) => {
+            const [fromId, toId] = key.split('|');
+            if (cents > 0) {
+                settlements.push(this.createSettlement(members[fromId], members[toId], cents, currency));
+            }
+        });
+
+        // Anyone left over shares no expense trail with a creditor (e.g. after old payments)
+        const leftover = balances
+            .filter(b => remaining[b.memberId] !== 0)
+            .map(b => ({ ...b, netBalance: Decimal.fromCents(remaining[b.memberId], currency) }));
+
+        return settlements.concat(this.settleGreedily(leftover, currency));
+    },
+
+    settleGreedily(balances, currency) {
+        const settlements = [];
+
+        const creditors = balances
+            .filter(b => Decimal.compare(b.netBalance, '0') > 0)
+            .map(b => ({
+                memberId: b.memberId,
+                name: b.name,
+                amountCents: Decimal.toCents(b.netBalance, currency)
+            }))
+            .sort((a, b) => b.amountCents - a.amountCents);
+
+        const debtors = balances
+            .filter(b => Decimal.compare(b.netBalance, '0') < 0)
+            .map(b => ({
+                memberId: b.memberId,
+                name: b.name,
+                amountCents: Math.abs(Decimal.toCents(b.netBalance, currency))
+            }))
+            .sort((a, b) => b.amountCents - a.amountCents);
+
+        let i = 0, j = 0;
+        
+        while (i < creditors.length && j < debtors.length) {
+            const creditor = creditors[i];
+            const debtor = debtors[j];
+
+            const settlementCents = Math.min(creditor.amountCents, debtor.amountCents);
+            
+            if (settlementCents > 0) {
+                settlements.push(this.createSettlement(debtor, creditor, settlementCents, currency));
+            }
+
+            creditor.amountCents -= settlementCents;
+            debtor.amountCents -= settlementCents;
+
+            if (creditor.amountCents === 0) i++;
+            if (debtor.amountCents === 0) j++;
+        }
+
+        return settlements;
+    }
+};
+
+// UPI Module
+// upi://pay URIs understood by every UPI app (NPCI's deep-linking spec); UPI only moves rupees
+
+const Upi = {
+    CURRENCY: 'INR',
+    // Apps cut the transaction note short beyond this
+    MAX_NOTE_LENGTH: 50,
+
+    canPay(payee, currency) {
+        return currency === this.CURRENCY && Boolean(payee?.upiId) && MEMBER_CONTACT_FIELDS.upiId.pattern.test(payee.upiId);
+    },
+
+    // Parameters are percent-encoded by hand: some apps show the "+" URLSearchParams uses for spaces
+    buildUri({ payeeHandle, payeeName, amount, note }) {
+        const params = {
+            pa: payeeHandle,
+            pn: payeeName,
+            am: Decimal.fromCents(Decimal.toCents(amount, this.CURRENCY), this.CURRENCY),
+            cu: this.CURRENCY,
+            tn: note.slice(0, this.MAX_NOTE_LENGTH)
+        };
+
+        return 'upi://pay?' + Object.entries(params)
+            .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+            .join('&');
+    },
+
+    buildSettlementUri(settlement, payee, groupName) {
+        return this.buildUri({
+            payeeHandle: payee.upiId,
+            payeeName: payee.name,
+            amount: settlement.amount,
+            note: `${groupName} settle-up`
+        });
+    }
+};
+
+// QR Code Module
+// Encodes text as a QR code (byte mode, medium error correction) entirely in the page, so
+// payment links never pass through an outside service. Follows ISO/IEC 18004.
+
+const QrCode = {
+    // Medium error correction recovers about 15% of the symbol, e.g. a smudged printout
+    ECC_FORMAT_BITS: 0,
+
+    // Per version 1-40: error correction codewords per block and number of blocks, level M
+    ECC_CODEWORDS_PER_BLOCK: [
+        null, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+        26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28
+    ],
+
+    ECC_BLOCKS: [
+        null, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+        17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49
+    ],
+
+    // Returns { version, size, modules } with modules[y][x] true for dark, or null if too long
+    encode(text) {
+        const bytes = [...new TextEncoder().encode(text)];
+
+        let version = 1;
+        while (version <= 40 && 4 + this.countBits(version) + bytes.length * 8 > this.dataCodewords(version) * 8) {
+            version++;
+        }
+        if (version > 40) return null;
+
+        const codewords = this.addErrorCorrection(this.encodeData(bytes, version), version);
+        const size = version * 4 + 17;
+        const symbol = {
+            version,
+            size,
+            modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+            reserved: Array.from({ length: size }, () => new Array(size).fill(false))
+        };
+
+        this.drawFunctionPatterns(symbol);
+        this.drawCodewords(symbol, codewords);
+
+        // Keep the mask that leaves the fewest patterns a scanner could misread
+        let best = null;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(symbol, mask);
+            this.drawFormatBits(symbol, mask);
+            const penalty = this.penalty(symbol.modules);
+            if (!best || penalty < best.penalty) best = { mask, penalty };
+            this.applyMask(symbol, mask);
+        }
+        this.applyMask(symbol, best.mask);
+        this.drawFormatBits(symbol, best.mask);
+
+        return { version, size, modules: symbol.modules };
+    },
+
+    countBits(version) {
+        return version < 10 ? 8 : 16;
+    },
+
+    rawDataModules(version) {
+        let modules = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignments = Math.floor(version / 7) + 2;
+            modules -= (25 * alignments - 10) * alignments - 55;
+            if (version >= 7) modules -= 36;
+        }
+        return modules;
+    },
+
+    dataCodewords(version) {
+        return Math.floor(this.rawDataModules(version) / 8) -
+            this.ECC_CODEWORDS_PER_BLOCK[version] * this.ECC_BLOCKS[version];
+    },
+
+    // Mode indicator, length, the bytes, then terminator and padding up to capacity
+    encodeData(bytes, version) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0b0100, 4);
+        append(bytes.length, this.countBits(version));
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacity = this.dataCodewords(version) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+            codewords.push(pad);
+        }
+        return codewords;
+    },
+
+    // Splits the data into blocks, appends each block's Reed-Solomon codewords and interleaves them
+    addErrorCorrection(data, version) {
+        const blockCount = this.ECC_BLOCKS[version];
+        const eccLength = this.ECC_CODEWORDS_PER_BLOCK[version];
+        const rawCodewords = Math.floor(this.rawDataModules(version) / 8);
+        const shortBlocks = blockCount - rawCodewords % blockCount;
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = this.reedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+            offset += block.length;
+            const ecc = this.reedSolomonRemainder(block, divisor);
+            // Short blocks get a placeholder so all blocks line up while interleaving
+            if (i < shortBlocks) block.push(null);
+            blocks.push([...block, ...ecc]);
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach(block => {
+                if (block[i] !== null) result.push(block[i]);
+            });
+        }
+        return result;
+    },
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    },
+
+    reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.multiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = this.multiply(root, 0x02);
+        }
+        return result;
+    },
+
+    reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    },
+
+    setFunctionModule(symbol, x, y, dark) {
+        symbol.modules[y][x] = dark;
+        symbol.reserved[y][x] = true;
+    },
+
+    alignmentPositions(version) {
+        if (version === 1) return [];
+
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const positions = [6];
+        for (let position = version * 4 + 10; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    },
+
+    drawFunctionPatterns(symbol) {
+        const { size, version } = symbol;
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(symbol, 6, i, i % 2 === 0);
+            this.setFunctionModule(symbol, i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their light separators, in three corners
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        this.setFunctionModule(symbol, x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap a finder pattern
+        const positions = this.alignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunctionModule(symbol, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas now; the bits are drawn once the mask is chosen
+        this.drawFormatBits(symbol, 0);
+
+        if (version >= 7) {
+            const bits = this.versionBits(version);
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this.setFunctionModule(symbol, a, b, dark);
+                this.setFunctionModule(symbol, b, a, dark);
+            }
+        }
+    },
+
+    // 15 bits: error correction level and mask, protected by a BCH code
+    formatBits(mask) {
+        const data = (this.ECC_FORMAT_BITS << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        return ((data << 10) | remainder) ^ 0x5412;
+    },
+
+    // 18 bits for versions 7 and up
+    versionBits(version) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        return (version << 12) | remainder;
+    },
+
+    drawFormatBits(symbol, mask) {
+        const { size } = symbol;
+        const bits = this.formatBits(mask);
+        const bit = i => ((bits >>> i) & 1) === 1;
+
+        // Around the top-left finder
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(symbol, 8, i, bit(i));
+        this.setFunctionModule(symbol, 8, 7, bit(6));
+        this.setFunctionModule(symbol, 8, 8, bit(7));
+        this.setFunctionModule(symbol, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(symbol, 14 - i, 8, bit(i));
+
+        // The copy split between the other two finders, plus the always-dark module
+        for (let i = 0; i < 8; i++) this.setFunctionModule(symbol, size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(symbol, 8, size - 15 + i, bit(i));
+        this.setFunctionModule(symbol, 8, size - 8, true);
+    },
+
+    // Fills the data area in two-module columns, zigzagging up and down from the bottom right
+    drawCodewords(symbol, codewords) {
+        const { size, modules, reserved } = symbol;
+        let i = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!reserved[y][x] && i < codewords.length * 8) {
+                        modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                        i++;
+                    }
+                }
+            }
+        }
+    },
+
+    MASKS: [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ],
+
+    // Masking twice undoes it, which lets encode() try every mask on one symbol
+    applyMask(symbol, mask) {
+        const condition = this.MASKS[mask];
+        symbol.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (!symbol.reserved[y][x] && condition(x, y)) row[x] = !dark;
+            });
+        });
+    },
+
+    // The four penalty rules of the standard: long runs, 2x2 blocks, finder look-alikes, imbalance
+    penalty(modules) {
+        const size = modules.length;
+        const columns = modules.map((row, x) => modules.map(r => r[x]));
+        const finderLike = [
+            [true, false, true, true, true, false, true, false, false, false, false],
+            [false, false, false, false, true, false, true, true, true, false, true]
+        ];
+        let score = 0;
+
+        [...modules, ...columns].forEach(line => {
+            for (let start = 0; start < size;) {
+                let end = start;
+                while (end < size && line[end] === line[start]) end++;
+                if (end - start >= 5) score += end - start - 2;
+                start = end;
+            }
+
+            for (let i = 0; i + 11 <= size; i++) {
+                if (finderLike.some(pattern => pattern.every((dark, k) => line[i + k] === dark))) score += 40;
+            }
+        });
+
+        for (let y = 0; y + 1 < size; y++) {
+            for (let x = 0; x + 1 < size; x++) {
+                const dark = modules[y][x];
+                if (modules[y][x + 1] === dark && modules[y + 1][x] === dark && modules[y + 1][x + 1] === dark) score += 3;
+            }
+        }
+
+        const darkCount = modules.reduce((total, row) => total + row.filter(Boolean).length, 0);
+        score += Math.floor(Math.abs(darkCount * 20 - size * size * 10) / (size * size)) * 10;
+
+        return score;
+    }
+};
+
+// Sync Module
+// Shares a group between devices as a compact code. Records merge by id:
+// the newest edit wins and deletions (tombstones) always win.
+
+const Sync = {
+    PREFIX: 'ES1.',
+    PLAIN_PREFIX: 'ES0.',
+    COLLECTIONS: ['members', 'expenses', 'payments', 'recurring'],
+    SETTINGS: ['name', 'baseCurrency', 'rates', 'settlementStrategy', 'treasurerId', 'budgets', 'settingsUpdatedAt'],
+
+    buildPayload(group) {
+        return {
+            app: EXPORT_FORMAT.app,
+            version: EXPORT_FORMAT.version,
+            type: 'sync',
+            group: {
+                id: group.id,
+                createdAt: group.createdAt,
+                ...Object.fromEntries(this.SETTINGS.map(key => [key, group[key]])),
+                ...Object.fromEntries(this.COLLECTIONS.map(key => [key, group[key]])),
+                tombstones: group.tombstones
+            }
+        };
+    },
+
+    async encode(group) {
+        return this.compress(JSON.stringify(this.buildPayload(group)));
+    },
+
+    async decode(text) {
+        let data;
+        try {
+            data = JSON.parse(await this.decompress(text));
+        } catch (error) {
+            return null;
+        }
+
+        if (!data || data.app !== EXPORT_FORMAT.app || data.type !== 'sync' ||
+            !data.group || !State.isValidId(data.group.id)) {
+            return null;
+        }
+        return data.group;
+    },
+
+    // Deflated, URL-safe text; falls back to plain base64 where CompressionStream is missing
+    async compress(text) {
+        const bytes = new TextEncoder().encode(text);
+
+        if (typeof CompressionStream === 'undefined') {
+            return this.PLAIN_PREFIX + this.toBase64Url(bytes);
+        }
+
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return this.PREFIX + this.toBase64Url(new Uint8Array(await new Response(stream).arrayBuffer()));
+    },
+
+    async decompress(text) {
+        const code = String(text).replace(/\s+/g, '');
+        let bytes;
+
+        if (code.startsWith(this.PREFIX)) {
+            const stream = new Blob([this.fromBase64Url(code.slice(this.PREFIX.length))])
+                .stream()
+                .pipeThrough(new DecompressionStream('deflate-raw'));
+            bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        } else if (code.startsWith(this.PLAIN_PREFIX)) {
+            bytes = this.fromBase64Url(code.slice(this.PLAIN_PREFIX.length));
+        } else {
+            throw new Error('Unknown code format');
+        }
+
+        return new TextDecoder().decode(bytes);
+    },
+
+    toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    },
+
+    modifiedAt(record) {
+        return Number(record.updatedAt || record.createdAt) || 0;
+    },
+
+    // Ties are broken by content so every device picks the same version
+    pickNewer(a, b) {
+        const difference = this.modifiedAt(a) - this.modifiedAt(b);
+        if (difference !== 0) {
+            return difference > 0 ? a : b;
+        }
+        return JSON.stringify(a) >= JSON.stringify(b) ? a : b;
+    },
+
+    // Schedules only move forward, so skipped dates and progress are combined
+    mergeTemplates(a, b) {
+        return {
+            ...this.pickNewer(a, b),
+            nextIndex: Math.max(a.nextIndex, b.nextIndex),
+            skippedDates: [...new Set([...a.skippedDates, ...b.skippedDates])].sort()
+        };
+    },
+
+    mergeRecords(localRecords, remoteRecords, tombstones, combine = (a, b) => this.pickNewer(a, b)) {
+        const byId = new Map();
+        [...localRecords, ...remoteRecords].forEach(record => {
+            const existing = byId.get(record.id);
+            byId.set(record.id, existing ? combine(existing, record) : record);
+        });
+        return [...byId.values()].filter(record => !(record.id in tombstones));
+    },
+
+    // Codes come from other people's devices, so ids must be safe to put in markup
+    isValidRecord(collection, record) {
+        if (!record || typeof record !== 'object' || !State.isValidId(record.id)) return false;
+
+        let complete;
+        switch (collection) {
+            case 'members':
+                return typeof record.name === 'string' && record.name.trim() !== '';
+            case 'payments':
+                complete = Boolean(record.from && record.to) && Decimal.compare(record.amount, '0') > 0;
+                break;
+            case 'recurring':
+                complete = typeof record.title === 'string' && Array.isArray(record.splitBetween) &&
+                    Boolean(State.validateSchedule(record)) && Number.isInteger(record.nextIndex) &&
+                    Array.isArray(record.skippedDates);
+                break;
+            default:
+                complete = typeof record.title === 'string' && Array.isArray(record.splitBetween) &&
+                    Boolean(record.paidBy) && Decimal.compare(record.amount, '0') > 0;
+        }
+
+        return complete &&
+            (record.payers === undefined || (Boolean(record.payers) && typeof record.payers === 'object')) &&
+            (record.items === undefined || (Array.isArray(record.items) &&
+                record.items.every(item => State.isValidId(item?.id) && (item.memberIds === undefined || Array.isArray(item.memberIds))))) &&
+            [...this.referencedMemberIds([record])].every(id => State.isValidId(id));
+    },
+
+    referencedMemberIds(records) {
+        const ids = new Set();
+        records.forEach(record => {
+            [record.paidBy, record.from, record.to, ...(record.splitBetween || []), ...Object.keys(record.payers || {})]
+                .concat(...(record.items || []).map(item => item.memberIds || []))
+                .filter(Boolean)
+                .forEach(id => ids.add(id));
+        });
+        return ids;
+    },
+
+    merge(local, remote) {
+        const tombstones = { ...local.tombstones };
+        Object.entries(remote.tombstones).forEach(([id, deletedAt]) => {
+            tombstones[id] = Math.max(tombstones[id] || 0, Number(deletedAt) || 0);
+        });
+
+        const merged = {};
+        ['expenses', 'payments', 'recurring'].forEach(collection => {
+            merged[collection] = this.mergeRecords(
+                local[collection],
+                remote[collection].filter(record => this.isValidRecord(collection, record)),
+                tombstones,
+                collection === 'recurring' ? (a, b) => this.mergeTemplates(a, b) : undefined
+            );
+        });
+
+        // A member deleted on one device but still used on another stays in the group
+        const referenced = this.referencedMemberIds([...merged.expenses, ...merged.payments, ...merged.recurring]);
+        referenced.forEach(id => delete tombstones[id]);
+        merged.members = this.mergeRecords(
+            local.members,
+            remote.members.filter(record => this.isValidRecord('members', record)),
+            tombstones
+        );
+
+        const settingsOf = group => ({
+            ...Object.fromEntries(this.SETTINGS.map(key => [key, group[key]])),
+            updatedAt: group.settingsUpdatedAt
+        });
+        const settings = this.pickNewer(settingsOf(local), settingsOf(remote));
+        this.SETTINGS.forEach(key => {
+            merged[key] = settings[key];
+        });
+        if (merged.treasurerId && !merged.members.some(m => m.id === merged.treasurerId)) {
+            merged.treasurerId = null;
+        }
+        merged.tombstones = tombstones;
+
+        const changes = { added: 0, updated: 0, removed: 0 };
+        this.COLLECTIONS.forEach(collection => {
+            const before = new Map(local[collection].map(record => [record.id, JSON.stringify(record)]));
+            merged[collection].forEach(record => {
+                if (!before.has(record.id)) {
+                    changes.added++;
+                } else if (before.get(record.id) !== JSON.stringify(record)) {
+                    changes.updated++;
+                }
+                before.delete(record.id);
+            });
+            changes.removed += before.size;
+        });
+
+        return { merged, changes };
+    }
+};
+
+export {
+    Decimal,
+    Dates,
+    StatementParser,
+    RECURRENCE_FREQUENCIES,
+    CATEGORIES,
+    CURRENCIES,
+    LOCALES,
+    SPLIT_MODES,
+    RECEIPT_ADJUSTMENTS,
+    MEMBER_CONTACT_FIELDS,
+    SETTLEMENT_STRATEGIES,
+    EXPORT_FORMAT,
+    STORAGE_KEY,
+    SCHEMA_VERSION,
+    Locale,
+    StorageAdapters,
+    Migrations,
+    Integrity,
+    State,
+    Calculator,
+    Upi,
+    QrCode,
+    Sync
+};
\ No newline at end of file
@@ -2,311 +2,749 @@
  * EXPENSE SPLITTER - WIZARD-BASED NAVIGATION WITH DARK MODE
  * Enhanced with step-by-step flow and feedback collection
  */
-// Decimal Arithmetic Module
-const Decimal = {
-    fromNumber(num) {
-        return (Math.round(num * 100) / 100).toFixed(2);
+import {
+    Decimal,
+    Dates,
+    StatementParser,
+    RECURRENCE_FREQUENCIES,
+    CATEGORIES,
+    CURRENCIES,
+    LOCALES,
+    SPLIT_MODES,
+    RECEIPT_ADJUSTMENTS,
+    MEMBER_CONTACT_FIELDS,
+    SETTLEMENT_STRATEGIES,
+    EXPORT_FORMAT,
+    STORAGE_KEY,
+    SCHEMA_VERSION,
+    Locale,
+    Integrity,
+    State,
+    Calculator,
+    Upi,
+    QrCode,
+    Sync
+} from './core.js';
+
+// Sort orders for Expense History
+
+const EXPENSE_SORTS = {
+    'date-desc': 'Newest first',
+    'date-asc': 'Oldest first',
+    'amount-desc': 'Highest amount',
+    'amount-asc': 'Lowest amount',
+    payer: 'Payer (A–Z)'
+};
+
+// Storage Module
+// The state lives in IndexedDB, which allows far larger groups than localStorage
+
+const Database = {
+    NAME: 'expenseSplitter',
+    VERSION: 1,
+    STORE: 'state',
+    KEY: STORAGE_KEY,
+    db: null,
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.NAME, this.VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    run(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.STORE, mode);
+            const request = operation(transaction.objectStore(this.STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    async load() {
+        try {
+            this.db = await this.open();
+        } catch (error) {
+            // e.g. private browsing modes without IndexedDB
+            console.error('IndexedDB unavailable, falling back to localStorage:', error);
+            this.db = null;
+            return localStorage.getItem(this.KEY);
+        }
+
+        const stored = await this.run('readonly', store => store.get(this.KEY));
+        if (stored !== undefined) {
+            return stored;
+        }
+
+        // First run after the move from localStorage: carry the old copy over
+        const legacy = localStorage.getItem(this.KEY);
+        if (legacy !== null) {
+            await this.run('readwrite', store => store.put(legacy, this.KEY));
+            localStorage.removeItem(this.KEY);
+        }
+        return legacy;
     },
 
-    toCents(decimalStr) {
-        const str = String(decimalStr).trim();
-        if (!str || isNaN(str)) return 0;
-        return Math.round(parseFloat(str) * 100);
+    async save(serialized) {
+        if (!this.db) {
+            localStorage.setItem(this.KEY, serialized);
+            return;
+        }
+
+        await this.run('readwrite', store => store.put(serialized, this.KEY));
+    }
+};
+
+// Export Module
+
+const Exporter = {
+    buildJson(group) {
+        return JSON.stringify({
+            app: EXPORT_FORMAT.app,
+            version: EXPORT_FORMAT.version,
+            exportedAt: new Date().toISOString(),
+            group: {
+                name: group.name,
+                baseCurrency: group.baseCurrency,
+                rates: group.rates,
+                settlementStrategy: group.settlementStrategy,
+                treasurerId: group.treasurerId,
+                budgets: group.budgets,
+                members: group.members,
+                expenses: group.expenses,
+                payments: group.payments,
+                recurring: group.recurring
+            }
+        }, null, 2);
     },
 
-    fromCents(cents) {
-        return (cents / 100).toFixed(2);
+    buildExpensesCsv(group) {
+        const memberName = id => group.members.find(m => m.id === id)?.name || 'Unknown';
+        const header = ['Date', 'Description', 'Category', 'Notes', 'Amount', 'Currency', 'Paid By', 'Split Mode', ...group.members.map(m => m.name)];
+
+        const rows = [...group.expenses]
+            .sort((a, b) => Dates.ofExpense(a).localeCompare(Dates.ofExpense(b)) || a.createdAt - b.createdAt)
+            .map(expense => {
+                const shares = Calculator.calculateExpenseShares(expense);
+                return [
+                    Dates.ofExpense(expense),
+                    expense.title,
+                    UI.getCategoryLabel(expense.category),
+                    expense.notes || '',
+                    expense.amount,
+                    expense.currency || group.baseCurrency,
+                    expense.payers
+                        ? Object.entries(expense.payers).map(([id, amount]) => `${memberName(id)} (${amount})`).join('; ')
+                        : memberName(expense.paidBy),
+                    SPLIT_MODES[expense.splitMode] || SPLIT_MODES.equal,
+                    ...group.members.map(m => shares[m.id] || '')
+                ];
+            });
+
+        return this.toCsv([header, ...rows]);
     },
 
-    add(a, b) {
-        const centsA = this.toCents(a);
-        const centsB = this.toCents(b);
-        return this.fromCents(centsA + centsB);
+    buildSettlementsCsv(settlements, currency, members = []) {
+        const upiId = memberId => members.find(m => m.id === memberId)?.upiId || '';
+        return this.toCsv([
+            ['From', 'To', 'Amount', 'Currency', 'Pay To UPI ID'],
+            ...settlements.map(s => [s.from, s.to, s.amount, currency, upiId(s.toId)])
+        ]);
     },
 
-    subtract(a, b) {
-        const centsA = this.toCents(a);
-        const centsB = this.toCents(b);
-        return this.fromCents(centsA - centsB);
+    buildStatementCsv(statement) {
+        const currency = statement.currency;
+        return this.toCsv([
+            ['Date', 'Description', 'Amount', 'Currency', `Paid (${currency})`, `Share (${currency})`, `Change (${currency})`, `Balance (${currency})`],
+            ...statement.entries.map(entry => [
+                entry.date,
+                UI.describeStatementEntry(entry),
+                entry.amount,
+                entry.currency,
+                entry.type === 'expense' ? entry.paid : '',
+                entry.type === 'expense' ? entry.share : '',
+                entry.change,
+                entry.balance
+            ]),
+            ['', 'Total', '', '', statement.totalPaid, statement.totalShare, '', statement.balance]
+        ]);
     },
 
-    divideEqually(amount, parts) {
-        if (parts <= 0) return [];
-        
-        const totalCents = this.toCents(amount);
-        const baseCents = Math.floor(totalCents / parts);
-        const remainder = totalCents - (baseCents * parts);
-        
-        const shares = new Array(parts).fill(baseCents);
-        
-        for (let i = 0; i < remainder; i++) {
-            shares[i]++;
-        }
-        
-        return shares.map(cents => this.fromCents(cents));
+    toCsv(rows) {
+        return rows.map(row => row.map(cell => this.escapeCsv(cell)).join(',')).join('\r\n');
     },
 
-    compare(a, b) {
-        const centsA = this.toCents(a);
-        const centsB = this.toCents(b);
-        return centsA - centsB;
+    escapeCsv(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
     },
 
-    isZero(amount) {
-        return this.toCents(amount) === 0;
+    slugify(text) {
+        return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
     },
 
-    format(amount, currency = '₹') {
-        const num = parseFloat(amount);
-        return `${currency}${num.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    fileName(group, suffix, extension) {
+        const slug = this.slugify(group.name) || 'group';
+        return `${slug}-${suffix}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    },
+
+    download(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
     }
 };
 
-// State Management Module
+// Shared Summary Module
+// A read-only settlement summary packed into the URL fragment, so it never reaches a server
 
-const State = {
-    members: [],
-    expenses: [],
-    currentStep: 1,
-    feedback: null,
+const SharedSummary = {
+    HASH_PREFIX: '#summary=',
 
-    init() {
-        try {
-            const stored = localStorage.getItem('expenseSplitterState');
-            if (stored) {
-                const parsed = JSON.parse(stored);
-                this.members = Array.isArray(parsed.members) ? parsed.members : [];
-                this.expenses = Array.isArray(parsed.expenses) ? parsed.expenses : [];
-                this.currentStep = parsed.currentStep || 1;
-                this.feedback = parsed.feedback || null;
-            }
-        } catch (error) {
-            console.error('Failed to load state:', error);
-            this.members = [];
-            this.expenses = [];
-            this.currentStep = 1;
-            this.feedback = null;
-        }
-        this.persist();
+    build(group) {
+        const options = { baseCurrency: group.baseCurrency, rates: group.rates, payments: group.payments };
+        const balances = Calculator.calculateBalances(group.members, group.expenses, options);
+        const plan = Calculator.planSettlements(balances, {
+            strategy: group.settlementStrategy,
+            treasurerId: group.treasurerId,
+            expenses: group.expenses,
+            currency: group.baseCurrency
+        });
+        const memberIndex = id => balances.findIndex(b => b.memberId === id);
+        const totalCents = group.expenses.reduce((sum, expense) => {
+            return sum + Calculator.convertCents(Decimal.toCents(expense.amount, expense.currency), expense.currency, group.baseCurrency, group.rates);
+        }, 0);
+
+        // Members are listed once and referenced by index to keep links short
+        return {
+            app: EXPORT_FORMAT.app,
+            type: 'summary',
+            name: group.name,
+            currency: group.baseCurrency,
+            createdAt: new Date().toISOString(),
+            strategy: plan.strategy,
+            total: Decimal.fromCents(totalCents, group.baseCurrency),
+            members: balances.map(b => [b.name, b.totalPaid, b.totalOwed, b.netBalance]),
+            settlements: plan.settlements.map(s => [memberIndex(s.fromId), memberIndex(s.toId), s.amount])
+        };
     },
 
-    persist() {
-        try {
-            localStorage.setItem('expenseSplitterState', JSON.stringify({
-                members: this.members,
-                expenses: this.expenses,
-                currentStep: this.currentStep,
-                feedback: this.feedback
-            }));
-        } catch (error) {
-            console.error('Failed to persist state:', error);
-        }
+    async buildLink(group) {
+        const code = await Sync.compress(JSON.stringify(this.build(group)));
+        return `${location.href.split('#')[0]}${this.HASH_PREFIX}${code}`;
     },
 
-    setCurrentStep(step) {
-        this.currentStep = step;
-        this.persist();
+    getCodeFromUrl() {
+        return location.hash.startsWith(this.HASH_PREFIX) ? location.hash.slice(this.HASH_PREFIX.length) : null;
     },
 
-    addMember(name) {
-        const trimmedName = name.trim();
-        if (!trimmedName) return null;
-        
-        if (this.members.some(m => m.name.toLowerCase() === trimmedName.toLowerCase())) {
+    async decode(code) {
+        let data;
+        try {
+            data = JSON.parse(await Sync.decompress(decodeURIComponent(code)));
+        } catch (error) {
+            return null;
+        }
+
+        if (!data || data.app !== EXPORT_FORMAT.app || data.type !== 'summary' ||
+            !Array.isArray(data.members) || !Array.isArray(data.settlements) || !CURRENCIES.includes(data.currency) ||
+            !data.members.every(Array.isArray) || !data.settlements.every(Array.isArray)) {
             return null;
         }
 
-        const member = {
-            id: this.generateId(),
-            name: trimmedName,
-            createdAt: Date.now()
+        const names = data.members.map(member => String(member[0]));
+        const toAmount = value => Decimal.fromCents(Decimal.toCents(value, data.currency), data.currency);
+        return {
+            name: String(data.name || 'Shared group'),
+            currency: data.currency,
+            createdAt: data.createdAt,
+            strategy: SETTLEMENT_STRATEGIES[data.strategy] ? data.strategy : 'fewest',
+            total: toAmount(data.total),
+            members: data.members.map(([name, paid, owed, net]) => ({
+                name: String(name),
+                totalPaid: toAmount(paid),
+                totalOwed: toAmount(owed),
+                netBalance: toAmount(net)
+            })),
+            settlements: data.settlements
+                .filter(([from, to]) => Number.isInteger(from) && Number.isInteger(to) &&
+                    names[from] !== undefined && names[to] !== undefined)
+                .map(([from, to, amount]) => ({
+                    from: names[from],
+                    to: names[to],
+                    amount: toAmount(amount)
+                }))
         };
+    }
+};
 
-        this.members.push(member);
-        this.persist();
-        return member;
+// Expense Filter Module
+// Search, filters and sort order for Expense History. They live in the URL hash
+// (#expenses?q=taxi&payer=...) so a filtered view survives a reload and can be bookmarked.
+
+const ExpenseFilter = {
+    HASH_PREFIX: '#expenses?',
+
+    // Empty fields match every expense; amounts are in the base currency
+    DEFAULTS: { q: '', payer: '', member: '', min: '', max: '', from: '', to: '', sort: 'date-desc' },
+
+    // Expense History field holding each criterion
+    FIELDS: {
+        q: 'filter-search',
+        payer: 'filter-payer',
+        member: 'filter-member',
+        min: 'filter-min',
+        max: 'filter-max',
+        from: 'filter-from',
+        to: 'filter-to',
+        sort: 'filter-sort'
     },
 
-    removeMember(memberId) {
-        const isInvolved = this.expenses.some(
-            expense => expense.paidBy === memberId || expense.splitBetween.includes(memberId)
+    criteria: null,
+
+    sanitize(criteria = {}) {
+        const clean = { ...this.DEFAULTS };
+        Object.keys(this.DEFAULTS).forEach(key => {
+            if (typeof criteria[key] === 'string') clean[key] = criteria[key].trim();
+        });
+
+        if (!EXPENSE_SORTS[clean.sort]) clean.sort = this.DEFAULTS.sort;
+        if (!Dates.isValidKey(clean.from)) clean.from = '';
+        if (!Dates.isValidKey(clean.to)) clean.to = '';
+        return clean;
+    },
+
+    isActive(criteria) {
+        return Object.keys(this.DEFAULTS).some(key => key !== 'sort' && criteria[key]);
+    },
+
+    fromHash(hash) {
+        if (!hash.startsWith(this.HASH_PREFIX)) return null;
+        return this.sanitize(Object.fromEntries(new URLSearchParams(hash.slice(this.HASH_PREFIX.length))));
+    },
+
+    // Only non-default fields are written, and no filters means no hash at all
+    toHash(criteria) {
+        const params = new URLSearchParams();
+        Object.entries(criteria).forEach(([key, value]) => {
+            if (value && value !== this.DEFAULTS[key]) params.set(key, value);
+        });
+
+        const query = params.toString();
+        return query ? this.HASH_PREFIX + query : '';
+    },
+
+    apply(expenses, criteria, { baseCurrency = 'INR', rates = {} } = {}) {
+        const search = criteria.q.toLowerCase();
+        const min = criteria.min ? Decimal.toCents(criteria.min, baseCurrency) : null;
+        const max = criteria.max ? Decimal.toCents(criteria.max, baseCurrency) : null;
+        const baseCents = expense => Calculator.convertCents(
+            Decimal.toCents(expense.amount, expense.currency), expense.currency, baseCurrency, rates
         );
+        const payerName = expense => State.getMember(expense.paidBy)?.name || '';
+
+        const matches = expense => {
+            const date = Dates.ofExpense(expense);
+            const cents = baseCents(expense);
+            return (!search || `${expense.title}\n${expense.notes || ''}`.toLowerCase().includes(search)) &&
+                (!criteria.payer || criteria.payer in Calculator.calculateExpensePayments(expense)) &&
+                (!criteria.member || expense.splitBetween.includes(criteria.member)) &&
+                (min === null || cents >= min) &&
+                (max === null || cents <= max) &&
+                (!criteria.from || date >= criteria.from) &&
+                (!criteria.to || date <= criteria.to);
+        };
 
-        if (isInvolved) {
-            return false;
-        }
+        const byDate = (a, b) => Dates.ofExpense(b).localeCompare(Dates.ofExpense(a)) || b.createdAt - a.createdAt;
+        const comparators = {
+            'date-desc': byDate,
+            'date-asc': (a, b) => byDate(b, a),
+            'amount-desc': (a, b) => baseCents(b) - baseCents(a) || byDate(a, b),
+            'amount-asc': (a, b) => baseCents(a) - baseCents(b) || byDate(a, b),
+            payer: (a, b) => payerName(a).localeCompare(payerName(b), Locale.current) || byDate(a, b)
+        };
 
-        this.members = this.members.filter(m => m.id !== memberId);
-        this.persist();
-        return true;
+        return expenses.filter(matches).sort(comparators[criteria.sort]);
+    }
+};
+
+// Statement Import Module
+
+const StatementImport = {
+    rows: [],
+    hasHeader: true,
+    // Used when the amounts themselves do not show which separator is decimal
+    fallbackDecimalSeparator: '.',
+
+    load(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+        this.rows = this.parseCsv(text, delimiter);
+        this.hasHeader = true;
+        // Semicolon exports mostly come from locales that write 1.234,56
+        this.fallbackDecimalSeparator = delimiter === ';' ? ',' : '.';
+        return this.rows.length;
     },
 
-    addExpense(title, amount, paidBy, splitBetween) {
-        if (!title.trim() || !amount || !paidBy || !splitBetween.length) {
-            return null;
+    parseCsv(text, delimiter = ',') {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
         }
 
-        const cents = Decimal.toCents(amount);
-        if (cents <= 0) {
-            return null;
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
         }
 
-        if (!this.members.find(m => m.id === paidBy)) {
-            return null;
-        }
+        return rows.filter(r => r.some(cell => cell.trim()));
+    },
 
-        for (const memberId of splitBetween) {
-            if (!this.members.find(m => m.id === memberId)) {
-                return null;
-            }
-        }
+    getColumns() {
+        const width = Math.max(0, ...this.rows.map(r => r.length));
+        const header = this.hasHeader ? this.rows[0] || [] : [];
+        return Array.from({ length: width }, (_, index) => (header[index] || '').trim() || `Column ${index + 1}`);
+    },
 
-        const expense = {
-            id: this.generateId(),
-            title: title.trim(),
-            amount: Decimal.fromCents(cents),
-            paidBy,
-            splitBetween: [...splitBetween],
-            createdAt: Date.now()
+    guessMapping() {
+        const patterns = {
+            date: /date/i,
+            description: /desc|narration|particular|detail|remark|title/i,
+            amount: /amount|debit|withdrawal|value/i,
+            payer: /payer|paid by|name/i
         };
+        const columns = this.hasHeader ? this.getColumns() : [];
+        const mapping = {};
 
-        this.expenses.push(expense);
-        this.persist();
-        return expense;
+        Object.entries(patterns).forEach(([field, pattern]) => {
+            const index = columns.findIndex(column => pattern.test(column));
+            mapping[field] = index === -1 ? '' : String(index);
+        });
+        return mapping;
     },
 
-    removeExpense(expenseId) {
-        this.expenses = this.expenses.filter(e => e.id !== expenseId);
-        this.persist();
+    // The mapping's choice, or whatever the amount column itself shows
+    getDecimalSeparator(mapping) {
+        if (mapping.decimalSeparator) return mapping.decimalSeparator;
+        if (mapping.amount === '') return this.fallbackDecimalSeparator;
+
+        const dataRows = this.hasHeader ? this.rows.slice(1) : this.rows;
+        return StatementParser.detectDecimalSeparator(
+            dataRows.map(row => row[Number(mapping.amount)]),
+            this.fallbackDecimalSeparator
+        );
     },
 
-    saveFeedback(rating, text) {
-        this.feedback = {
-            rating,
-            text: text.trim(),
-            timestamp: Date.now()
-        };
-        this.persist();
+    parseDate(value) {
+        const text = String(value ?? '').trim();
+        let year, month, day;
+        let match;
+
+        if ((match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/))) {
+            [, year, month, day] = match.map(Number);
+        } else if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/))) {
+            // Indian statements use day-first dates
+            [, day, month, year] = match.map(Number);
+            if (year < 100) year += 2000;
+        } else {
+            const parsed = new Date(text);
+            if (!text || isNaN(parsed)) return null;
+            year = parsed.getFullYear();
+            month = parsed.getMonth() + 1;
+            day = parsed.getDate();
+        }
+
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
     },
 
-    clearAll() {
-        this.members = [];
-        this.expenses = [];
-        this.currentStep = 1;
-        this.feedback = null;
-        this.persist();
+    buildPreview(mapping, defaults) {
+        const dataRows = this.hasHeader ? this.rows.slice(1) : this.rows;
+        const firstRowNumber = this.hasHeader ? 2 : 1;
+        const cell = (row, field) => mapping[field] === '' ? '' : (row[Number(mapping[field])] || '').trim();
+        const accepted = [];
+        const decimalSeparator = this.getDecimalSeparator(mapping);
+
+        return dataRows.map((row, index) => {
+            const errors = [];
+            const title = cell(row, 'description');
+            const amountCents = StatementParser.parseAmount(cell(row, 'amount'), State.baseCurrency, decimalSeparator);
+            const date = mapping.date === '' ? null : this.parseDate(cell(row, 'date'));
+            const payerName = cell(row, 'payer');
+            const payer = payerName ? State.findMemberByName(payerName) : State.getMember(defaults.paidBy);
+
+            if (!title) errors.push('Missing description');
+            if (amountCents <= 0) errors.push('Invalid amount');
+            if (mapping.date !== '' && !date) errors.push('Invalid date');
+            if (!payer) errors.push(payerName ? `Unknown payer "${payerName}"` : 'No payer selected');
+            if (!defaults.splitBetween.length) errors.push('No participants selected');
+
+            const entry = {
+                rowNumber: firstRowNumber + index,
+                title,
+                amount: amountCents > 0 ? Decimal.fromCents(amountCents, State.baseCurrency) : '',
+                date,
+                paidBy: payer?.id || null,
+                payerName: payer?.name || payerName,
+                errors,
+                duplicate: false
+            };
+
+            if (errors.length === 0) {
+                const fields = State.validateExpenseFields(title, entry.amount, entry.paidBy, defaults.splitBetween, {
+                    date
+                });
+
+                if (!fields) {
+                    errors.push('Does not pass expense validation');
+                } else if (State.isDuplicateExpense(fields) || accepted.some(f => this.isSameExpense(f, fields))) {
+                    entry.duplicate = true;
+                } else {
+                    accepted.push(fields);
+                }
+            }
+
+            return entry;
+        });
     },
 
-    generateId() {
-        return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    isSameExpense(a, b) {
+        return a.title.toLowerCase() === b.title.toLowerCase() &&
+            a.amount === b.amount &&
+            a.paidBy === b.paidBy &&
+            a.date === b.date;
     },
 
-    getMember(memberId) {
-        return this.members.find(m => m.id === memberId);
+    reset() {
+        this.rows = [];
+        this.hasHeader = true;
+        this.fallbackDecimalSeparator = '.';
     }
 };
 
-// Calculation Engine
+// Undo/Redo History Module
+
+const History = {
+    undoStack: [],
+    redoStack: [],
+    depth: 0,
+    onChange: null,
+
+    // Snapshots hold the whole state, so cap both the count and the stored size. sessionStorage
+    // allows about 5 MB and some browsers count two bytes per character.
+    MAX_ENTRIES: 50,
+    MAX_STORED_CHARS: 1000000,
+    STORAGE_KEY: 'expenseSplitterHistory',
+
+    TRACKED: {
+        createGroup: 'Group created',
+        renameGroup: 'Group renamed',
+        setGroupArchived: 'Group archive status changed',
+        deleteGroup: 'Group deleted',
+        addMember: 'Member added',
+        updateMember: 'Member updated',
+        setMemberActive: 'Member status changed',
+        mergeMembers: 'Members merged',
+        removeMember: 'Member removed',
+        addExpense: 'Expense added',
+        importExpenses: 'Statement imported',
+        updateExpense: 'Expense updated',
+        removeExpense: 'Expense deleted',
+        addRecurring: 'Recurring expense added',
+        skipOccurrence: 'Occurrence skipped',
+        skipNextOccurrence: 'Occurrence skipped',
+        removeRecurring: 'Recurring expense stopped',
+        addPayment: 'Payment recorded',
+        removePayment: 'Payment deleted',
+        setSettlementStrategy: 'Settlement strategy changed',
+        setRate: 'Exchange rate saved',
+        removeRate: 'Exchange rate removed',
+        importRates: 'Exchange rates imported',
+        setBaseCurrency: 'Base currency changed',
+        setBudget: 'Budget changed',
+        importGroup: 'Data imported',
+        mergeSyncedGroup: 'Synced changes merged',
+        clearAll: 'Group cleared',
+        restoreQuarantined: 'Record repaired',
+        discardQuarantined: 'Record discarded'
+    },
 
-const Calculator = {
-    calculateExpenseShares(expense) {
-        const shares = {};
-        const splitCount = expense.splitBetween.length;
-        
-        if (splitCount === 0) return shares;
+    init() {
+        this.load();
 
-        const amounts = Decimal.divideEqually(expense.amount, splitCount);
-        
-        expense.splitBetween.forEach((memberId, index) => {
-            shares[memberId] = amounts[index];
+        Object.entries(this.TRACKED).forEach(([method, label]) => {
+            const original = State[method];
+            State[method] = (...args) => this.track(label, () => original.apply(State, args));
         });
-
-        return shares;
     },
 
-    calculateBalances(members, expenses) {
-        const balances = members.map(member => ({
-            memberId: member.id,
-            name: member.name,
-            totalPaid: '0.00',
-            totalOwed: '0.00',
-            netBalance: '0.00'
-        }));
+    track(label, mutate) {
+        // Nested mutations (e.g. importGroup calling setRate) belong to the outer entry
+        if (this.depth > 0) {
+            return mutate();
+        }
 
-        const balanceMap = {};
-        members.forEach(member => {
-            balanceMap[member.id] = {
-                paidCents: 0,
-                owedCents: 0
-            };
-        });
+        const before = this.snapshot();
+        let result;
+
+        this.depth++;
+        try {
+            result = mutate();
+        } finally {
+            this.depth--;
+        }
 
-        expenses.forEach(expense => {
-            balanceMap[expense.paidBy].paidCents += Decimal.toCents(expense.amount);
+        if (this.snapshot() !== before) {
+            this.push(this.undoStack, { label, snapshot: before });
+            this.redoStack = [];
+            this.save();
+        }
 
-            const shares = this.calculateExpenseShares(expense);
-            Object.entries(shares).forEach(([memberId, shareAmount]) => {
-                balanceMap[memberId].owedCents += Decimal.toCents(shareAmount);
-            });
+        return result;
+    },
+
+    snapshot() {
+        return JSON.stringify({
+            groups: State.groups,
+            activeGroupId: State.activeGroupId,
+            quarantine: State.quarantine
         });
+    },
+
+    restore(snapshot) {
+        const data = JSON.parse(snapshot);
 
-        balances.forEach(balance => {
-            const data = balanceMap[balance.memberId];
-            balance.totalPaid = Decimal.fromCents(data.paidCents);
-            balance.totalOwed = Decimal.fromCents(data.owedCents);
-            balance.netBalance = Decimal.fromCents(data.paidCents - data.owedCents);
+        // Keep each group on the step the user is viewing now
+        const steps = {};
+        State.groups.forEach(group => {
+            steps[group.id] = group.currentStep;
         });
 
-        return balances;
+        State.groups = data.groups.map(group => ({
+            ...group,
+            currentStep: steps[group.id] || group.currentStep
+        }));
+        State.activeGroupId = data.activeGroupId;
+        State.quarantine = data.quarantine || [];
+        State.persist();
     },
 
-    calculateSettlements(balances) {
-        const settlements = [];
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
 
-        const creditors = balances
-            .filter(b => Decimal.compare(b.netBalance, '0.00') > 0)
-            .map(b => ({
-                memberId: b.memberId,
-                name: b.name,
-                amountCents: Decimal.toCents(b.netBalance)
-            }))
-            .sort((a, b) => b.amountCents - a.amountCents);
+        this.push(this.redoStack, { label: entry.label, snapshot: this.snapshot() });
+        this.restore(entry.snapshot);
+        this.save();
+        return entry;
+    },
 
-        const debtors = balances
-            .filter(b => Decimal.compare(b.netBalance, '0.00') < 0)
-            .map(b => ({
-                memberId: b.memberId,
-                name: b.name,
-                amountCents: Math.abs(Decimal.toCents(b.netBalance))
-            }))
-            .sort((a, b) => b.amountCents - a.amountCents);
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
 
-        let i = 0, j = 0;
-        
-        while (i < creditors.length && j < debtors.length) {
-            const creditor = creditors[i];
-            const debtor = debtors[j];
+        this.push(this.undoStack, { label: entry.label, snapshot: this.snapshot() });
+        this.restore(entry.snapshot);
+        this.save();
+        return entry;
+    },
 
-            const settlementCents = Math.min(creditor.amountCents, debtor.amountCents);
-            
-            if (settlementCents > 0) {
-                settlements.push({
-                    from: debtor.name,
-                    fromId: debtor.memberId,
-                    to: creditor.name,
-                    toId: creditor.memberId,
-                    amount: Decimal.fromCents(settlementCents)
-                });
-            }
+    canUndo() {
+        return this.undoStack.length > 0;
+    },
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    },
+
+    push(stack, entry) {
+        stack.push(entry);
+        this.trim();
+    },
 
-            creditor.amountCents -= settlementCents;
-            debtor.amountCents -= settlementCents;
+    trim() {
+        while (this.undoStack.length > this.MAX_ENTRIES) this.undoStack.shift();
+        while (this.redoStack.length > this.MAX_ENTRIES) this.redoStack.shift();
+
+        // Measured as stored: snapshots are JSON inside JSON, so their quotes are escaped again
+        const storedSize = entry => JSON.stringify(entry).length;
+        let size = [...this.undoStack, ...this.redoStack].reduce((total, entry) => total + storedSize(entry), 0);
+
+        // Drop the oldest undo steps first, then the furthest redo steps
+        while (size > this.MAX_STORED_CHARS && (this.undoStack.length > 1 || this.redoStack.length > 0)) {
+            const stack = this.undoStack.length > 1 ? this.undoStack : this.redoStack;
+            size -= storedSize(stack.shift());
+        }
+    },
+
+    load() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(this.STORAGE_KEY) || 'null');
+            this.undoStack = Array.isArray(stored?.undoStack) ? stored.undoStack : [];
+            this.redoStack = Array.isArray(stored?.redoStack) ? stored.redoStack : [];
+        } catch (error) {
+            console.error('Failed to load history:', error);
+            this.undoStack = [];
+            this.redoStack = [];
+        }
+    },
 
-            if (creditor.amountCents === 0) i++;
-            if (debtor.amountCents === 0) j++;
+    save() {
+        try {
+            sessionStorage.setItem(this.STORAGE_KEY, JSON.stringify({
+                undoStack: this.undoStack,
+                redoStack: this.redoStack
+            }));
+        } catch (error) {
+            // A single step can still be too big for a very large group; undo then lasts until reload
+            console.error('Failed to persist history:', error);
+            sessionStorage.removeItem(this.STORAGE_KEY);
         }
 
-        return settlements;
+        if (this.onChange) {
+            this.onChange();
+        }
     }
 };
 
@@ -331,8 +769,7 @@ const Navigation = {
 
             // Render content for the step
             if (stepNumber === 2) {
-                UI.renderExpenses();
-                UI.renderBalances();
+                UI.renderExpenseViews();
             } else if (stepNumber === 3) {
                 UI.renderSettlements();
             }
@@ -358,6 +795,21 @@ const Navigation = {
     }
 };
 
+// Locale Preference Module
+// Like the theme, the number format is a preference of this device rather than of the group
+
+const LocalePreference = {
+    init() {
+        Locale.setLocale(localStorage.getItem('locale'));
+    },
+
+    setLocale(locale) {
+        if (!Locale.setLocale(locale)) return false;
+        localStorage.setItem('locale', locale);
+        return true;
+    }
+};
+
 // Theme Module
 
 const Theme = {
@@ -384,10 +836,25 @@ const Theme = {
 // UI Rendering Module
 
 const UI = {
+    // Member whose statement is open in the Member Balances tab
+    statementMemberId: null,
+    // Whether the recovery screen for damaged saved data is showing
+    recoveryOpen: false,
+    // Member whose details are being edited in the member list
+    editingMemberId: null,
+    // Settlement ("fromId:toId") whose UPI QR code is showing
+    upiQrKey: null,
+
     renderAll() {
+        this.renderRecovery();
+        this.renderGroups();
         this.renderMembers();
         this.renderMemberSelectors();
+        this.renderCurrencyOptions();
+        this.renderCategoryOptions();
+        this.renderCurrencies();
         this.updateNavigationButtons();
+        this.updateHistoryButtons();
     },
 
     updateNavigationButtons() {
@@ -399,6 +866,59 @@ const UI = {
         }
     },
 
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+
+        undoBtn.disabled = !History.canUndo();
+        redoBtn.disabled = !History.canRedo();
+        undoBtn.title = History.canUndo()
+            ? `Undo: ${History.undoStack[History.undoStack.length - 1].label} (Ctrl+Z)`
+            : 'Nothing to undo';
+        redoBtn.title = History.canRedo()
+            ? `Redo: ${History.redoStack[History.redoStack.length - 1].label} (Ctrl+Shift+Z)`
+            : 'Nothing to redo';
+    },
+
+    showToast(message, withUndo = false) {
+        const toast = document.getElementById('toast');
+        document.getElementById('toast-message').textContent = message;
+        document.getElementById('toast-undo-btn').classList.toggle('hidden', !withUndo);
+        toast.classList.remove('hidden');
+
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => {
+            toast.classList.add('hidden');
+        }, 5000);
+    },
+
+    hideToast() {
+        clearTimeout(this.toastTimer);
+        document.getElementById('toast').classList.add('hidden');
+    },
+
+    renderGroups() {
+        const select = document.getElementById('group-select');
+        const renderOption = group => `
+            <option value="${group.id}" ${group.id === State.activeGroupId ? 'selected' : ''}>${this.escapeHtml(group.name)}</option>
+        `;
+
+        const activeGroups = State.groups.filter(g => !g.archived);
+        const archivedGroups = State.groups.filter(g => g.archived);
+
+        select.innerHTML = `
+            ${activeGroups.map(renderOption).join('')}
+            ${archivedGroups.length ? `
+                <optgroup label="Archived">
+                    ${archivedGroups.map(renderOption).join('')}
+                </optgroup>
+            ` : ''}
+        `;
+
+        document.getElementById('archive-group-btn').textContent =
+            State.getActiveGroup().archived ? 'Unarchive' : 'Archive';
+    },
+
     renderMembers() {
         const container = document.getElementById('members-list');
         
@@ -413,37 +933,135 @@ const UI = {
         }
 
         container.innerHTML = State.members
-            .map(member => `
-                <div class="member-item">
-                    <span class="member-name">${this.escapeHtml(member.name)}</span>
+            .map(member => {
+                if (member.id === this.editingMemberId) {
+                    return this.renderMemberEditor(member);
+                }
+
+                const contact = [member.email, member.phone, member.upiId && `UPI: ${member.upiId}`].filter(Boolean);
+                return `
+                    <div class="member-item ${member.active === false ? 'inactive' : ''}">
+                        <div class="member-info">
+                            <span class="member-name">${this.escapeHtml(member.name)}</span>
+                            ${member.active === false ? '<span class="member-badge">Inactive</span>' : ''}
+                            ${contact.length ? `<div class="member-contact">${contact.map(text => this.escapeHtml(text)).join(' · ')}</div>` : ''}
+                        </div>
+                        <div class="member-actions">
+                            <button 
+                                class="btn-secondary btn-small" 
+                                data-action="edit" 
+                                data-id="${member.id}"
+                                title="Rename, add contact details, merge or deactivate"
+                            >Edit</button>
+                            <button 
+                                class="btn-danger" 
+                                data-action="remove" 
+                                data-id="${member.id}"
+                                title="Remove member"
+                            >Remove</button>
+                        </div>
+                    </div>
+                `;
+            })
+            .join('');
+
+        // Typed values go in through the DOM so quotes in them cannot break the markup
+        const editing = State.getMember(this.editingMemberId);
+        if (editing) {
+            document.getElementById('member-edit-name').value = editing.name;
+            Object.keys(MEMBER_CONTACT_FIELDS).forEach(key => {
+                document.getElementById(`member-edit-${key}`).value = editing[key] || '';
+            });
+        }
+    },
+
+    renderMemberEditor(member) {
+        const inputTypes = { email: 'email', phone: 'tel' };
+        const placeholders = { email: 'name@example.com', phone: '+91 98765 43210', upiId: 'name@bank' };
+        const others = State.members.filter(m => m.id !== member.id);
+
+        return `
+            <div class="member-item member-editor">
+                <div class="member-editor-fields">
+                    <div class="form-group">
+                        <label for="member-edit-name">Name</label>
+                        <input type="text" id="member-edit-name" maxlength="50" autocomplete="off">
+                    </div>
+                    ${Object.entries(MEMBER_CONTACT_FIELDS).map(([key, { label }]) => `
+                        <div class="form-group">
+                            <label for="member-edit-${key}">${label} (optional)</label>
+                            <input 
+                                type="${inputTypes[key] || 'text'}" 
+                                id="member-edit-${key}" 
+                                placeholder="${placeholders[key]}"
+                                autocomplete="off"
+                            >
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="member-editor-actions">
+                    <button class="btn-primary btn-small" data-action="save" data-id="${member.id}">Save</button>
+                    <button class="btn-secondary btn-small" data-action="cancel">Cancel</button>
                     <button 
-                        class="btn-danger" 
-                        onclick="App.removeMember('${member.id}')"
-                        title="Remove member"
-                    >Remove</button>
+                        class="btn-secondary btn-small" 
+                        data-action="toggle-active" 
+                        data-id="${member.id}"
+                        title="Inactive members keep their history but are not offered for new expenses"
+                    >${member.active === false ? 'Mark Active' : 'Mark Inactive'}</button>
+                    ${others.length ? `
+                        <span class="member-merge">
+                            <select id="member-merge-target" aria-label="Merge into">
+                                <option value="">Merge into…</option>
+                                ${others.map(m => `<option value="${m.id}">${this.escapeHtml(m.name)}</option>`).join('')}
+                            </select>
+                            <button class="btn-secondary btn-small" data-action="merge" data-id="${member.id}">Merge</button>
+                        </span>
+                    ` : ''}
                 </div>
-            `)
-            .join('');
+            </div>
+        `;
+    },
+
+    // Inactive members are only offered when editing an expense they are already on
+    getSelectableMembers() {
+        const editing = App.editingExpenseId ? State.getExpense(App.editingExpenseId) : null;
+        const involved = editing ? Sync.referencedMemberIds([editing]) : new Set();
+        return State.members.filter(m => m.active !== false || involved.has(m.id));
+    },
+
+    renderExpenseViews() {
+        this.renderExpenses();
+        this.renderRecurring();
+        this.renderBudgets();
+        this.renderBudgetStatus();
+        this.renderBalances();
+        this.renderBreakdown();
     },
 
     renderMemberSelectors() {
         const paidBySelect = document.getElementById('expense-paid-by');
         const splitBetweenContainer = document.getElementById('split-between-checkboxes');
+        const members = this.getSelectableMembers();
 
-        if (State.members.length === 0) {
+        if (members.length === 0) {
             paidBySelect.innerHTML = '<option value="">No members available</option>';
-            splitBetweenContainer.innerHTML = '<p style="color: var(--text-muted); font-size: 0.875rem;">Add members first</p>';
+            splitBetweenContainer.innerHTML = `<p style="color: var(--text-muted); font-size: 0.875rem;">${State.members.length ? 'All members are inactive' : 'Add members first'}</p>`;
             return;
         }
 
         paidBySelect.innerHTML = `
             <option value="">Select member</option>
-            ${State.members.map(m => `
+            ${members.map(m => `
                 <option value="${m.id}">${this.escapeHtml(m.name)}</option>
             `).join('')}
         `;
 
-        splitBetweenContainer.innerHTML = State.members
+        document.getElementById('additional-payers').innerHTML = App.getAdditionalPayers()
+            .map(payer => this.renderPayerRow(payer))
+            .join('');
+        this.updatePayers();
+
+        splitBetweenContainer.innerHTML = members
             .map(m => `
                 <div class="checkbox-item">
                     <input 
@@ -453,54 +1071,580 @@ const UI = {
                         name="splitBetween"
                     >
                     <label for="split-${m.id}">${this.escapeHtml(m.name)}</label>
+                    <input 
+                        type="text" 
+                        class="split-value-input" 
+                        id="split-value-${m.id}" 
+                        data-member-id="${m.id}"
+                        autocomplete="off"
+                    >
                 </div>
             `)
             .join('');
+
+        // Keep any receipt lines already typed while member checkboxes are rebuilt
+        this.renderReceiptItems(App.getReceiptItems());
+        this.updateSplitMode();
     },
 
-    renderExpenses() {
-        const container = document.getElementById('expenses-list');
+    renderPayerRow(payer = {}) {
+        return `
+            <div class="payer-row">
+                <select class="payer-select">
+                    <option value="">Select member</option>
+                    ${this.getSelectableMembers().map(m => `
+                        <option value="${m.id}" ${m.id === payer.memberId ? 'selected' : ''}>${this.escapeHtml(m.name)}</option>
+                    `).join('')}
+                </select>
+                <input 
+                    type="text" 
+                    class="payer-amount" 
+                    placeholder="0.00"
+                    value="${payer.amount ? parseFloat(payer.amount) : ''}"
+                    autocomplete="off"
+                >
+                <button type="button" class="btn-danger" data-action="remove">×</button>
+            </div>
+        `;
+    },
 
-        if (State.expenses.length === 0) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-state-icon">💰</div>
-                    <p>No expenses recorded yet.</p>
+    // With several payers each one needs an amount, and they must cover the expense
+    updatePayers() {
+        const additional = App.getAdditionalPayers();
+        const summary = document.getElementById('payer-summary');
+
+        document.getElementById('expense-paid-by-amount').classList.toggle('hidden', additional.length === 0);
+        if (additional.length === 0) {
+            summary.textContent = '';
+            return;
+        }
+
+        const currency = document.getElementById('expense-currency').value;
+        const amount = document.getElementById('expense-amount').value;
+        const paidCents = [document.getElementById('expense-paid-by-amount').value, ...additional.map(p => p.amount)]
+            .reduce((sum, value) => sum + Decimal.toCents(value, currency), 0);
+
+        summary.textContent = `Paid ${Decimal.format(Decimal.fromCents(paidCents, currency), currency)} of ${Decimal.format(amount || '0', currency)}`;
+    },
+
+    formatPayers(expense) {
+        const currency = expense.currency || State.baseCurrency;
+        return Object.entries(Calculator.calculateExpensePayments(expense))
+            .map(([memberId, amount]) => {
+                const name = this.escapeHtml(State.getMember(memberId)?.name || 'Unknown');
+                return expense.payers ? `${name} (${Decimal.format(amount, currency)})` : name;
+            })
+            .join(', ');
+    },
+
+    renderReceiptItems(items) {
+        const container = document.getElementById('receipt-items');
+        container.innerHTML = items.map(item => this.renderReceiptItem(item)).join('');
+    },
+
+    renderReceiptItem(item = {}) {
+        const id = item.id || State.generateId();
+        const memberIds = item.memberIds || [];
+
+        return `
+            <div class="receipt-item" data-item-id="${id}">
+                <div class="receipt-item-fields">
+                    <input 
+                        type="text" 
+                        class="receipt-item-name" 
+                        placeholder="Item, e.g. Drinks"
+                        value="${this.escapeHtml(item.name || '')}"
+                        maxlength="50"
+                        autocomplete="off"
+                    >
+                    <input 
+                        type="text" 
+                        class="receipt-item-amount" 
+                        placeholder="0.00"
+                        value="${item.amount ? parseFloat(item.amount) : ''}"
+                        autocomplete="off"
+                    >
+                    <button type="button" class="btn-danger" data-action="remove">×</button>
                 </div>
-            `;
+                <div class="receipt-item-members">
+                    ${this.getSelectableMembers().map(m => `
+                        <label>
+                            <input type="checkbox" value="${m.id}" ${memberIds.includes(m.id) ? 'checked' : ''}>
+                            ${this.escapeHtml(m.name)}
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    },
+
+    updateSplitMode() {
+        const mode = document.getElementById('expense-split-mode').value;
+        const container = document.getElementById('split-between-checkboxes');
+        const currency = document.getElementById('expense-currency').value;
+        const placeholders = { exact: Decimal.fromCents(0, currency), percent: '%', shares: '1' };
+        const itemized = mode === 'itemized';
+
+        container.dataset.splitMode = mode;
+        container.querySelectorAll('.split-value-input').forEach(input => {
+            input.placeholder = placeholders[mode] || '';
+        });
+
+        // Itemized expenses take their total and participants from the receipt
+        container.classList.toggle('hidden', itemized);
+        document.getElementById('itemized-editor').classList.toggle('hidden', !itemized);
+        document.getElementById('expense-amount').readOnly = itemized;
+        if (itemized && !document.querySelector('#receipt-items .receipt-item')) {
+            App.addReceiptItem();
+        }
+
+        this.updateSplitSummary();
+    },
+
+    updateSplitSummary() {
+        const summary = document.getElementById('split-summary');
+        const mode = document.getElementById('expense-split-mode').value;
+
+        if (mode === 'itemized') {
+            const currency = document.getElementById('expense-currency').value;
+            const itemsCents = App.getReceiptItems()
+                .reduce((sum, item) => sum + Math.max(Decimal.toCents(item.amount, currency), 0), 0);
+            const adjustments = App.getReceiptAdjustments();
+            const [tax, service, tip, discount] = ['tax', 'service', 'tip', 'discount']
+                .map(type => Math.max(Decimal.toCents(adjustments[type], currency), 0));
+            const totalCents = itemsCents + tax + service + tip - discount;
+            const format = cents => Decimal.format(Decimal.fromCents(cents, currency), currency);
+
+            document.getElementById('expense-amount').value = totalCents > 0 ? Decimal.fromCents(totalCents, currency) : '';
+            this.updatePayers();
+            summary.textContent = `Items ${format(itemsCents)} + extras ${format(tax + service + tip)} − discount ${format(discount)} = ${format(totalCents)}`;
             return;
         }
 
-        const expensesHtml = State.expenses
-            .sort((a, b) => b.createdAt - a.createdAt)
-            .map(expense => {
-                const payer = State.getMember(expense.paidBy);
-                const shares = Calculator.calculateExpenseShares(expense);
-                const splitMembers = expense.splitBetween
-                    .map(id => State.getMember(id)?.name)
-                    .filter(Boolean)
-                    .join(', ');
+        if (mode === 'equal') {
+            summary.textContent = '';
+            return;
+        }
 
-                return `
-                    <div class="expense-item">
+        // Exact amounts are in the expense currency; percentages and shares keep two decimals
+        const currency = mode === 'exact' ? document.getElementById('expense-currency').value : undefined;
+        const checkedIds = Array.from(document.querySelectorAll('input[name="splitBetween"]:checked'))
+            .map(cb => cb.value);
+        const totalCents = checkedIds.reduce((sum, id) => {
+            return sum + Decimal.toCents(document.getElementById(`split-value-${id}`).value, currency);
+        }, 0);
+
+        if (mode === 'exact') {
+            const amount = document.getElementById('expense-amount').value;
+            summary.textContent = `Assigned ${Decimal.format(Decimal.fromCents(totalCents, currency), currency)} of ${Decimal.format(amount || '0', currency)}`;
+        } else if (mode === 'percent') {
+            summary.textContent = `Assigned ${Decimal.fromCents(totalCents)}% of 100%`;
+        } else {
+            summary.textContent = `${parseFloat(Decimal.fromCents(totalCents))} total shares`;
+        }
+    },
+
+    renderCurrencyOptions() {
+        const select = document.getElementById('expense-currency');
+        const currencies = [State.baseCurrency, ...Object.keys(State.rates)];
+        const selected = select.value;
+
+        select.innerHTML = currencies
+            .map(code => `<option value="${code}">${code}</option>`)
+            .join('');
+
+        if (currencies.includes(selected)) {
+            select.value = selected;
+        }
+    },
+
+    renderCurrencies() {
+        const baseSelect = document.getElementById('base-currency-select');
+        const rateCurrencySelect = document.getElementById('rate-currency-select');
+        const container = document.getElementById('rates-list');
+
+        baseSelect.innerHTML = CURRENCIES
+            .map(code => `<option value="${code}" ${code === State.baseCurrency ? 'selected' : ''}>${code}</option>`)
+            .join('');
+
+        // Each locale is previewed with a sample amount in the base currency
+        document.getElementById('locale-select').innerHTML = Object.entries(LOCALES)
+            .map(([code, label]) => {
+                const sample = new Intl.NumberFormat(code, { style: 'currency', currency: State.baseCurrency }).format(123456.789);
+                return `<option value="${code}" ${code === Locale.current ? 'selected' : ''}>${label} (${this.escapeHtml(sample)})</option>`;
+            })
+            .join('');
+
+        rateCurrencySelect.innerHTML = CURRENCIES
+            .filter(code => code !== State.baseCurrency)
+            .map(code => `<option value="${code}">${code}</option>`)
+            .join('');
+
+        document.getElementById('show-original-currencies').checked = State.getActiveGroup().showOriginalCurrencies;
+
+        const rates = Object.entries(State.rates);
+        if (rates.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">💱</div>
+                    <p>No exchange rates yet. Add one to record expenses in other currencies.</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = rates
+            .map(([code, rate]) => `
+                <div class="member-item">
+                    <span class="member-name">1 ${code} = ${rate} ${State.baseCurrency}</span>
+                    <button 
+                        class="btn-danger" 
+                        data-action="remove" 
+                        data-id="${code}"
+                        title="Remove rate"
+                    >Remove</button>
+                </div>
+            `)
+            .join('');
+    },
+
+    getCategoryLabel(category) {
+        return CATEGORIES[category] || category || CATEGORIES.other;
+    },
+
+    renderCategoryOptions() {
+        const select = document.getElementById('expense-category');
+        const selected = select.value;
+        const customCategories = [...new Set(State.expenses.map(e => e.category))]
+            .filter(category => category && !CATEGORIES[category]);
+
+        select.innerHTML = `
+            ${Object.entries(CATEGORIES).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+            ${customCategories.map(category => `<option value="${this.escapeHtml(category)}">${this.escapeHtml(category)}</option>`).join('')}
+            <option value="__custom">Custom…</option>
+        `;
+
+        select.value = selected && [...select.options].some(o => o.value === selected) ? selected : 'other';
+        this.updateCustomCategory();
+    },
+
+    updateCustomCategory() {
+        const isCustom = document.getElementById('expense-category').value === '__custom';
+        document.getElementById('expense-custom-category').classList.toggle('hidden', !isCustom);
+    },
+
+    renderBreakdown() {
+        const container = document.getElementById('breakdown-view');
+
+        if (State.expenses.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">📈</div>
+                    <p>Add expenses to see where the money went.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const breakdown = Calculator.calculateBreakdown(State.expenses, State.getCalculationOptions());
+
+        container.innerHTML = `
+            <div class="breakdown-section">
+                <h3>By Category</h3>
+                ${this.renderBarChart(breakdown.byCategory.map(item => ({ label: this.getCategoryLabel(item.key), amount: item.amount })))}
+            </div>
+            <div class="breakdown-section">
+                <h3>By Member (share of spending)</h3>
+                ${this.renderBarChart(breakdown.byMember.map(item => ({ label: State.getMember(item.key)?.name || 'Unknown', amount: item.amount })))}
+            </div>
+            <div class="breakdown-section">
+                <h3>By Day</h3>
+                ${this.renderColumnChart(breakdown.byDay.map(item => ({ label: Dates.format(item.key), amount: item.amount })))}
+            </div>
+        `;
+    },
+
+    getBudgetLabel(entry) {
+        if (entry.scope === 'total') return 'Total budget';
+        if (entry.scope === 'category') return this.getCategoryLabel(entry.key);
+        return State.getMember(entry.key)?.name || 'Unknown';
+    },
+
+    getBudgetUsage() {
+        return Calculator.calculateBudgetUsage(State.expenses, State.getActiveGroup().budgets, State.getCalculationOptions());
+    },
+
+    renderBudgets() {
+        const budgets = State.getActiveGroup().budgets;
+        const container = document.getElementById('budgets-list');
+        const targetSelect = document.getElementById('budget-target-select');
+        const selected = targetSelect.value;
+        const categories = [...new Set([...Object.keys(CATEGORIES), ...State.expenses.map(e => e.category).filter(Boolean)])];
+
+        targetSelect.innerHTML = `
+            <optgroup label="Categories">
+                ${categories.map(key => `<option value="category:${this.escapeHtml(key)}">${this.escapeHtml(this.getCategoryLabel(key))}</option>`).join('')}
+            </optgroup>
+            <optgroup label="Members">
+                ${State.members.map(m => `<option value="member:${m.id}">${this.escapeHtml(m.name)}</option>`).join('')}
+            </optgroup>
+        `;
+        if ([...targetSelect.options].some(o => o.value === selected)) {
+            targetSelect.value = selected;
+        }
+
+        document.getElementById('budget-total-input').value = budgets.total ? parseFloat(budgets.total) : '';
+
+        const usage = this.getBudgetUsage();
+        if (usage.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🎯</div>
+                    <p>No budgets yet. Set a total budget or limits for categories and members.</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = usage
+            .map(entry => {
+                const percent = Math.min(100, Decimal.toCents(entry.spent) / Decimal.toCents(entry.limit) * 100);
+                return `
+                    <div class="budget-item ${entry.over ? 'over' : ''}">
+                        <div>
+                            <div class="member-name">${this.escapeHtml(this.getBudgetLabel(entry))}</div>
+                            <div class="budget-figures">
+                                ${Decimal.format(entry.spent, State.baseCurrency)} of ${Decimal.format(entry.limit, State.baseCurrency)} ·
+                                ${entry.over
+                                    ? `${Decimal.format(Decimal.subtract(entry.spent, entry.limit, State.baseCurrency), State.baseCurrency)} over`
+                                    : `${Decimal.format(entry.remaining, State.baseCurrency)} left`}
+                            </div>
+                        </div>
+                        <button 
+                            class="btn-danger" 
+                            data-scope="${entry.scope}"
+                            data-key="${this.escapeHtml(entry.key || '')}"
+                            title="Remove budget"
+                        >Remove</button>
+                        <div class="bar-track">
+                            <div class="bar-fill" style="width: ${percent.toFixed(1)}%"></div>
+                        </div>
+                    </div>
+                `;
+            })
+            .join('');
+    },
+
+    // Budget used vs remaining next to the Add Expense button, for the chosen category
+    renderBudgetStatus() {
+        const category = document.getElementById('expense-category').value;
+        const lines = this.getBudgetUsage()
+            .filter(entry => entry.scope === 'total' || (entry.scope === 'category' && entry.key === category))
+            .map(entry => `
+                <div class="${entry.over ? 'over-budget' : ''}">
+                    ${this.escapeHtml(this.getBudgetLabel(entry))}: ${Decimal.format(entry.spent, State.baseCurrency)} used,
+                    ${entry.over
+                        ? `${Decimal.format(Decimal.subtract(entry.spent, entry.limit, State.baseCurrency), State.baseCurrency)} over`
+                        : `${Decimal.format(entry.remaining, State.baseCurrency)} left`}
+                </div>
+            `);
+
+        document.getElementById('budget-status').innerHTML = lines.join('');
+    },
+
+    renderBarChart(items) {
+        const maxCents = Math.max(1, ...items.map(item => Decimal.toCents(item.amount)));
+
+        return `
+            <div class="bar-chart">
+                ${items.map(item => `
+                    <div class="bar-row">
+                        <div class="bar-label">${this.escapeHtml(item.label)}</div>
+                        <div class="bar-track">
+                            <div class="bar-fill" style="width: ${(Decimal.toCents(item.amount) / maxCents * 100).toFixed(1)}%"></div>
+                        </div>
+                        <div class="bar-value">${Decimal.format(item.amount, State.baseCurrency)}</div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    },
+
+    renderColumnChart(items) {
+        const maxCents = Math.max(1, ...items.map(item => Decimal.toCents(item.amount)));
+
+        return `
+            <div class="column-chart">
+                ${items.map(item => `
+                    <div class="column" title="${this.escapeHtml(item.label)}: ${Decimal.format(item.amount, State.baseCurrency)}">
+                        <div class="column-fill" style="height: ${(Decimal.toCents(item.amount) / maxCents * 100).toFixed(1)}%"></div>
+                        <div class="column-label">${this.escapeHtml(item.label)}</div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    },
+
+    formatCurrencyBreakdown(totals) {
+        return Object.entries(totals)
+            .map(([currency, amount]) => Decimal.format(amount, currency))
+            .join(' + ');
+    },
+
+    formatSplitValue(expense, memberId) {
+        const value = parseFloat((expense.splitValues || {})[memberId]);
+        if (expense.splitMode === 'percent') return `${value}%`;
+        if (expense.splitMode === 'shares') return `${value} ${value === 1 ? 'share' : 'shares'}`;
+        return '';
+    },
+
+    renderReceiptLines(expense) {
+        const currency = expense.currency || State.baseCurrency;
+        const itemLines = (expense.items || []).map(item => {
+            const names = item.memberIds.map(id => State.getMember(id)?.name || 'Unknown').join(', ');
+            return `<li>${this.escapeHtml(item.name)}: ${Decimal.format(item.amount, currency)} (${this.escapeHtml(names)})</li>`;
+        });
+        const adjustmentLines = Object.entries(RECEIPT_ADJUSTMENTS)
+            .filter(([type]) => !Decimal.isZero((expense.adjustments || {})[type] || '0'))
+            .map(([type, label]) => {
+                const sign = type === 'discount' ? '−' : '+';
+                return `<li>${label}: ${sign}${Decimal.format(expense.adjustments[type], currency)}</li>`;
+            });
+
+        return `
+            <div class="expense-detail">
+                <strong>Receipt:</strong>
+                <ul class="receipt-lines">${[...itemLines, ...adjustmentLines].join('')}</ul>
+            </div>
+        `;
+    },
+
+    renderExpenseFilters() {
+        const criteria = ExpenseFilter.criteria;
+
+        // A member from another group, or one removed since, cannot be filtered on
+        ['payer', 'member'].forEach(key => {
+            if (criteria[key] && !State.getMember(criteria[key])) criteria[key] = '';
+        });
+
+        const memberOptions = (emptyLabel, selected) => `<option value="">${emptyLabel}</option>` + State.members
+            .map(m => `<option value="${m.id}" ${m.id === selected ? 'selected' : ''}>${this.escapeHtml(m.name)}</option>`)
+            .join('');
+
+        document.getElementById('filter-payer').innerHTML = memberOptions('Anyone', criteria.payer);
+        document.getElementById('filter-member').innerHTML = memberOptions('Anyone', criteria.member);
+        document.getElementById('filter-sort').innerHTML = Object.entries(EXPENSE_SORTS)
+            .map(([value, label]) => `<option value="${value}" ${value === criteria.sort ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        // Leave fields alone while they match, so typing a space is not undone by the trimmed criteria
+        ['q', 'min', 'max', 'from', 'to'].forEach(key => {
+            const input = document.getElementById(ExpenseFilter.FIELDS[key]);
+            if (input.value.trim() !== criteria[key]) input.value = criteria[key];
+        });
+    },
+
+    renderExpenses() {
+        const container = document.getElementById('expenses-list');
+        const filters = document.getElementById('expense-filters');
+
+        if (State.expenses.length === 0) {
+            filters.classList.add('hidden');
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">💰</div>
+                    <p>No expenses recorded yet.</p>
+                </div>
+            `;
+            return;
+        }
+
+        filters.classList.remove('hidden');
+        this.renderExpenseFilters();
+
+        const options = State.getCalculationOptions();
+        const expenses = ExpenseFilter.apply(State.expenses, ExpenseFilter.criteria, options);
+        const totalCents = expenses.reduce((sum, expense) => {
+            return sum + Calculator.convertCents(Decimal.toCents(expense.amount, expense.currency), expense.currency, options.baseCurrency, options.rates);
+        }, 0);
+        const total = Decimal.format(Decimal.fromCents(totalCents, options.baseCurrency), options.baseCurrency);
+
+        document.getElementById('expense-filter-summary').textContent = ExpenseFilter.isActive(ExpenseFilter.criteria)
+            ? `Showing ${expenses.length} of ${State.expenses.length} expenses · ${total}`
+            : `${State.expenses.length} ${State.expenses.length === 1 ? 'expense' : 'expenses'} · ${total}`;
+        document.getElementById('filter-clear-btn').classList.toggle('hidden', !ExpenseFilter.isActive(ExpenseFilter.criteria));
+
+        if (expenses.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🔍</div>
+                    <p>No expenses match these filters.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const expensesHtml = expenses
+            .map(expense => {
+                const shares = Calculator.calculateExpenseShares(expense);
+                const splitMembers = expense.splitBetween
+                    .map(id => State.getMember(id)?.name)
+                    .filter(Boolean)
+                    .join(', ');
+
+                return `
+                    <div class="expense-item">
                         <div class="expense-header">
                             <div>
                                 <div class="expense-title">${this.escapeHtml(expense.title)}</div>
+                                <div class="expense-meta">
+                                    <span>${Dates.format(Dates.ofExpense(expense))}</span>
+                                    <span class="category-badge">${this.escapeHtml(this.getCategoryLabel(expense.category))}</span>
+                                    ${expense.recurringId ? '<span class="category-badge">Recurring</span>' : ''}
+                                </div>
                                 <div class="expense-details">
                                     <div class="expense-detail">
-                                        <strong>Paid by:</strong> ${this.escapeHtml(payer?.name || 'Unknown')}
+                                        <strong>Paid by:</strong> ${this.formatPayers(expense)}
                                     </div>
                                     <div class="expense-detail">
                                         <strong>Split between:</strong> ${this.escapeHtml(splitMembers)}
                                     </div>
+                                    <div class="expense-detail">
+                                        <strong>Split mode:</strong> ${SPLIT_MODES[expense.splitMode] || SPLIT_MODES.equal}
+                                    </div>
+                                    ${expense.splitMode === 'itemized' ? this.renderReceiptLines(expense) : ''}
+                                    ${expense.notes ? `
+                                        <div class="expense-detail">
+                                            <strong>Notes:</strong> ${this.escapeHtml(expense.notes)}
+                                        </div>
+                                    ` : ''}
                                 </div>
                             </div>
                             <div style="text-align: right;">
-                                <div class="expense-amount">${Decimal.format(expense.amount)}</div>
-                                <button 
-                                    class="btn-danger mt-1" 
-                                    onclick="App.removeExpense('${expense.id}')"
-                                >Delete</button>
+                                <div class="expense-amount">${Decimal.format(expense.amount, expense.currency || State.baseCurrency)}</div>
+                                ${expense.currency && expense.currency !== State.baseCurrency ? `
+                                    <div class="expense-converted">≈ ${Decimal.format(Decimal.fromCents(Calculator.convertCents(Decimal.toCents(expense.amount, expense.currency), expense.currency, State.baseCurrency, State.rates), State.baseCurrency), State.baseCurrency)}</div>
+                                ` : ''}
+                                ${expense.updatedAt ? '<div class="expense-edited">Edited</div>' : ''}
+                                <div class="expense-actions mt-1">
+                                    <button 
+                                        class="btn-secondary btn-small" 
+                                        data-action="edit" 
+                                        data-id="${expense.id}"
+                                    >Edit</button>
+                                    ${expense.recurringId ? `
+                                        <button 
+                                            class="btn-secondary btn-small" 
+                                            data-action="skip" 
+                                            data-id="${expense.id}"
+                                        >Skip</button>
+                                    ` : ''}
+                                    <button 
+                                        class="btn-danger" 
+                                        data-action="remove" 
+                                        data-id="${expense.id}"
+                                    >Delete</button>
+                                </div>
                             </div>
                         </div>
                         
@@ -508,10 +1652,11 @@ const UI = {
                             <div class="expense-splits-title">Individual Shares</div>
                             ${Object.entries(shares).map(([memberId, amount]) => {
                                 const member = State.getMember(memberId);
+                                const splitValue = this.formatSplitValue(expense, memberId);
                                 return `
                                     <div class="split-item">
-                                        <span>${this.escapeHtml(member?.name || 'Unknown')}</span>
-                                        <span>${Decimal.format(amount)}</span>
+                                        <span>${this.escapeHtml(member?.name || 'Unknown')}${splitValue ? ` <span class="split-value">(${splitValue})</span>` : ''}</span>
+                                        <span>${Decimal.format(amount, expense.currency || State.baseCurrency)}</span>
                                     </div>
                                 `;
                             }).join('')}
@@ -524,6 +1669,66 @@ const UI = {
         container.innerHTML = expensesHtml;
     },
 
+    getFrequencyLabel(template) {
+        return template.frequency === 'custom'
+            ? `Every ${template.intervalDays} ${template.intervalDays === 1 ? 'day' : 'days'}`
+            : RECURRENCE_FREQUENCIES[template.frequency];
+    },
+
+    renderRecurring() {
+        const container = document.getElementById('recurring-list');
+
+        if (State.recurring.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🔁</div>
+                    <p>No recurring expenses. Choose a repeat option when adding an expense.</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = State.recurring
+            .map(template => {
+                const next = State.getNextOccurrence(template);
+
+                return `
+                    <div class="recurring-item">
+                        <div class="recurring-info">
+                            <div class="expense-title">${this.escapeHtml(template.title)}</div>
+                            <div class="recurring-schedule">
+                                ${this.getFrequencyLabel(template)} from ${Dates.format(template.startDate)}${template.endDate ? ` until ${Dates.format(template.endDate)}` : ''}
+                                · Paid by ${this.formatPayers(template)}
+                            </div>
+                            <div class="recurring-schedule">${next ? `Next: ${Dates.format(next)}` : 'Ended'}</div>
+                        </div>
+                        <div class="settlement-amount">${Decimal.format(template.amount, template.currency || State.baseCurrency)}</div>
+                        <div class="recurring-actions">
+                            ${next ? `
+                                <button 
+                                    class="btn-secondary btn-small" 
+                                    data-action="skip" 
+                                    data-id="${template.id}"
+                                >Skip Next</button>
+                            ` : ''}
+                            <button 
+                                class="btn-danger" 
+                                data-action="remove" 
+                                data-id="${template.id}"
+                            >Stop</button>
+                        </div>
+                    </div>
+                `;
+            })
+            .join('');
+    },
+
+    updateRepeatOptions() {
+        const repeat = document.getElementById('expense-repeat').value;
+        document.getElementById('expense-repeat-interval').classList.toggle('hidden', repeat !== 'custom');
+        document.getElementById('expense-repeat-end').disabled = repeat === 'none';
+    },
+
     renderBalances() {
         const container = document.getElementById('balances-list');
 
@@ -537,30 +1742,50 @@ const UI = {
             return;
         }
 
-        const balances = Calculator.calculateBalances(State.members, State.expenses);
+        const balances = Calculator.calculateBalances(State.members, State.expenses, State.getCalculationOptions());
+        const showOriginal = State.getActiveGroup().showOriginalCurrencies;
 
         const balancesHtml = balances
             .map(balance => {
-                const netCents = Decimal.toCents(balance.netBalance);
+                const netCents = Decimal.toCents(balance.netBalance, State.baseCurrency);
                 const status = netCents > 0 ? 'positive' : netCents < 0 ? 'negative' : 'neutral';
 
                 return `
                     <div class="balance-item ${status}">
                         <div class="balance-header">
-                            <div class="balance-name">${this.escapeHtml(balance.name)}</div>
+                            <div class="balance-name">
+                                ${this.escapeHtml(balance.name)}
+                                <button class="btn-secondary btn-small" data-action="statement" data-id="${balance.memberId}">Statement</button>
+                            </div>
                             <div class="balance-net ${status}">
-                                ${Decimal.format(balance.netBalance)}
+                                ${Decimal.format(balance.netBalance, State.baseCurrency)}
                             </div>
                         </div>
                         <div class="balance-details">
                             <div class="balance-detail-item">
                                 <div class="balance-detail-label">Total Paid</div>
-                                <div class="balance-detail-value">${Decimal.format(balance.totalPaid)}</div>
+                                <div class="balance-detail-value">${Decimal.format(balance.totalPaid, State.baseCurrency)}</div>
+                                ${showOriginal && Object.keys(balance.paidByCurrency).length ? `
+                                    <div class="balance-detail-original">${this.formatCurrencyBreakdown(balance.paidByCurrency)}</div>
+                                ` : ''}
                             </div>
                             <div class="balance-detail-item">
                                 <div class="balance-detail-label">Total Owed</div>
-                                <div class="balance-detail-value">${Decimal.format(balance.totalOwed)}</div>
+                                <div class="balance-detail-value">${Decimal.format(balance.totalOwed, State.baseCurrency)}</div>
+                                ${showOriginal && Object.keys(balance.owedByCurrency).length ? `
+                                    <div class="balance-detail-original">${this.formatCurrencyBreakdown(balance.owedByCurrency)}</div>
+                                ` : ''}
                             </div>
+                            ${Decimal.isZero(balance.paymentsSent) && Decimal.isZero(balance.paymentsReceived) ? '' : `
+                                <div class="balance-detail-item">
+                                    <div class="balance-detail-label">Payments Sent</div>
+                                    <div class="balance-detail-value">${Decimal.format(balance.paymentsSent, State.baseCurrency)}</div>
+                                </div>
+                                <div class="balance-detail-item">
+                                    <div class="balance-detail-label">Payments Received</div>
+                                    <div class="balance-detail-value">${Decimal.format(balance.paymentsReceived, State.baseCurrency)}</div>
+                                </div>
+                            `}
                         </div>
                     </div>
                 `;
@@ -568,12 +1793,108 @@ const UI = {
             .join('');
 
         container.innerHTML = balancesHtml;
+        this.renderStatement();
+    },
+
+    describeStatementEntry(entry) {
+        if (entry.type === 'expense') return entry.title;
+        const name = State.getMember(entry.counterpartyId)?.name || 'Unknown';
+        return entry.direction === 'sent' ? `Payment to ${name}` : `Payment from ${name}`;
+    },
+
+    renderStatement() {
+        const container = document.getElementById('member-statement');
+        const member = State.getMember(this.statementMemberId);
+
+        if (!member) {
+            this.statementMemberId = null;
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        const statement = Calculator.calculateMemberStatement(member.id, State.expenses, State.getCalculationOptions());
+        const format = amount => Decimal.format(amount, statement.currency);
+        const signed = amount => `${Decimal.compare(amount, '0') > 0 ? '+' : ''}${format(amount)}`;
+        const balanceCompare = Decimal.compare(statement.balance, '0');
+        const outcome = balanceCompare === 0
+            ? 'all settled'
+            : `${balanceCompare < 0 ? 'owes' : 'gets back'} ${format(statement.balance.replace(/^-/, ''))}`;
+
+        const rowsHtml = statement.entries.map(entry => {
+            // Foreign-currency expenses also show the amounts as they were entered
+            const original = entry.type === 'expense' && entry.currency !== statement.currency
+                ? `<div class="statement-original">${Decimal.format(entry.amount, entry.currency)}${entry.originalShare ? ` · share ${Decimal.format(entry.originalShare, entry.currency)}` : ''}</div>`
+                : '';
+
+            return `
+                <tr class="statement-${entry.type}">
+                    <td>${Dates.format(entry.date)}</td>
+                    <td>${this.escapeHtml(this.describeStatementEntry(entry))}${original}</td>
+                    <td>${entry.type === 'expense' && !Decimal.isZero(entry.paid) ? format(entry.paid) : ''}</td>
+                    <td>${entry.type === 'expense' && !Decimal.isZero(entry.share) ? format(entry.share) : ''}</td>
+                    <td class="${Decimal.compare(entry.change, '0') < 0 ? 'negative' : 'positive'}">${signed(entry.change)}</td>
+                    <td>${format(entry.balance)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        container.classList.remove('hidden');
+        container.innerHTML = `
+            <div class="statement-header">
+                <div>
+                    <h3>Statement for ${this.escapeHtml(member.name)}</h3>
+                    <div class="statement-meta">
+                        ${this.escapeHtml(State.getActiveGroup().name)} · Generated ${new Date().toLocaleString(Locale.current)}
+                    </div>
+                </div>
+                <div class="statement-actions">
+                    <button class="btn-secondary btn-small" onclick="App.exportStatementCsv()">Download CSV</button>
+                    <button class="btn-secondary btn-small" onclick="App.printStatement()">Print</button>
+                    <button class="btn-secondary btn-small" onclick="App.closeStatement()">Close</button>
+                </div>
+            </div>
+            ${statement.entries.length === 0 ? `
+                <p class="statement-meta">${this.escapeHtml(member.name)} has no expenses or payments yet.</p>
+            ` : `
+                <div class="statement-table-wrapper">
+                    <table class="statement-table">
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Description</th>
+                                <th>Paid</th>
+                                <th>Share</th>
+                                <th>Change</th>
+                                <th>Balance</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rowsHtml}</tbody>
+                        <tfoot>
+                            <tr>
+                                <td colspan="2">Total</td>
+                                <td>${format(statement.totalPaid)}</td>
+                                <td>${format(statement.totalShare)}</td>
+                                <td></td>
+                                <td>${format(statement.balance)}</td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+                <div class="statement-meta">
+                    Payments sent ${format(statement.paymentsSent)} · received ${format(statement.paymentsReceived)} · ${outcome}
+                </div>
+            `}
+        `;
     },
 
     renderSettlements() {
         const statsContainer = document.getElementById('settlement-stats');
         const container = document.getElementById('settlement-list');
 
+        this.renderPayments();
+        this.renderSettlementStrategy();
+
         if (State.members.length === 0 || State.expenses.length === 0) {
             statsContainer.innerHTML = '';
             container.innerHTML = `
@@ -585,28 +1906,41 @@ const UI = {
             return;
         }
 
-        const balances = Calculator.calculateBalances(State.members, State.expenses);
-        const settlements = Calculator.calculateSettlements(balances);
+        const balances = Calculator.calculateBalances(State.members, State.expenses, State.getCalculationOptions());
+        const plan = Calculator.planSettlements(balances, State.getSettlementOptions());
+        const settlements = plan.settlements;
 
-        // Calculate total
+        const badge = document.getElementById('settlement-strategy-badge');
+        badge.textContent = plan.approximate ? `${SETTLEMENT_STRATEGIES[plan.strategy]} (approximate)` : SETTLEMENT_STRATEGIES[plan.strategy];
+        badge.title = plan.approximate
+            ? 'Group too large for an exact search; largest debts are matched first'
+            : `${settlements.length} ${settlements.length === 1 ? 'transfer' : 'transfers'} using this strategy`;
+
+        // Calculate total in the base currency
         const totalExpenses = State.expenses.reduce((sum, exp) => {
-            return sum + Decimal.toCents(exp.amount);
+            return sum + Calculator.convertCents(Decimal.toCents(exp.amount, exp.currency), exp.currency, State.baseCurrency, State.rates);
         }, 0);
 
         // Render stats
         statsContainer.innerHTML = `
             <div class="stat-card">
                 <div class="stat-label">Total Expenses</div>
-                <div class="stat-value">${Decimal.format(Decimal.fromCents(totalExpenses))}</div>
+                <div class="stat-value">${Decimal.format(Decimal.fromCents(totalExpenses, State.baseCurrency), State.baseCurrency)}</div>
             </div>
             <div class="stat-card">
-                <div class="stat-label">Transactions Needed</div>
+                <div class="stat-label">Transactions Remaining</div>
                 <div class="stat-value">${settlements.length}</div>
             </div>
             <div class="stat-card">
                 <div class="stat-label">Members</div>
                 <div class="stat-value">${State.members.length}</div>
             </div>
+            ${this.getBudgetUsage().filter(entry => entry.scope === 'total').map(entry => `
+                <div class="stat-card">
+                    <div class="stat-label">Budget Remaining (of ${Decimal.format(entry.limit, State.baseCurrency)})</div>
+                    <div class="stat-value ${entry.over ? 'over-budget' : ''}">${Decimal.format(entry.remaining, State.baseCurrency)}</div>
+                </div>
+            `).join('')}
         `;
 
         if (settlements.length === 0) {
@@ -619,6 +1953,11 @@ const UI = {
             return;
         }
 
+        // Other currencies used in this group, for the optional equivalents
+        const originalCurrencies = State.getActiveGroup().showOriginalCurrencies
+            ? [...new Set(State.expenses.map(e => e.currency).filter(c => c && c !== State.baseCurrency))]
+            : [];
+
         const settlementsHtml = settlements
             .map(settlement => `
                 <div class="settlement-item">
@@ -626,8 +1965,24 @@ const UI = {
                     <div class="settlement-text">
                         <strong>${this.escapeHtml(settlement.from)}</strong> pays 
                         <strong>${this.escapeHtml(settlement.to)}</strong>
+                        ${State.getMember(settlement.toId)?.upiId ? `
+                            <div class="settlement-handle">UPI: ${this.escapeHtml(State.getMember(settlement.toId).upiId)}</div>
+                        ` : ''}
                     </div>
-                    <div class="settlement-amount">${Decimal.format(settlement.amount)}</div>
+                    <div class="settlement-amount">
+                        ${Decimal.format(settlement.amount, State.baseCurrency)}
+                        ${originalCurrencies.map(currency => `
+                            <div class="settlement-equivalent">≈ ${Decimal.format(Decimal.fromNumber(Number(settlement.amount) / parseFloat(State.rates[currency]), currency), currency)}</div>
+                        `).join('')}
+                    </div>
+                    <button 
+                        class="btn-secondary btn-small" 
+                        data-action="mark-paid" 
+                        data-from="${settlement.fromId}" 
+                        data-to="${settlement.toId}" 
+                        data-amount="${settlement.amount}"
+                    >Mark as paid</button>
+                    ${this.renderUpiActions(settlement)}
                 </div>
             `)
             .join('');
@@ -635,47 +1990,437 @@ const UI = {
         container.innerHTML = settlementsHtml;
     },
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-};
-
-// Tab Management
+    // Pay link and QR code for a settlement whose payee has a UPI ID; UPI only works in rupees
+    renderUpiActions(settlement) {
+        const payee = State.getMember(settlement.toId);
+        if (!Upi.canPay(payee, State.baseCurrency)) {
+            return '';
+        }
 
-const Tabs = {
-    init() {
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const tabName = e.target.dataset.tab;
-                this.switchTab(tabName);
-            });
-        });
+        const key = `${settlement.fromId}:${settlement.toId}`;
+        const uri = Upi.buildSettlementUri(settlement, payee, State.getActiveGroup().name);
+        const amount = Decimal.format(settlement.amount, State.baseCurrency);
+
+        return `
+            <span class="upi-actions">
+                <a class="btn-secondary btn-small upi-pay-link" href="${this.escapeHtml(uri)}">Pay via UPI</a>
+                <button 
+                    class="btn-secondary btn-small" 
+                    data-action="toggle-qr" 
+                    data-from="${settlement.fromId}" 
+                    data-to="${settlement.toId}"
+                    aria-expanded="${this.upiQrKey === key}"
+                >${this.upiQrKey === key ? 'Hide QR' : 'QR'}</button>
+            </span>
+            ${this.upiQrKey === key ? `
+                <div class="upi-qr">
+                    ${this.renderQrSvg(uri, `UPI QR code to pay ${payee.name} ${amount}`)}
+                    <div class="upi-qr-details">
+                        <p>Scan with any UPI app to pay <strong>${this.escapeHtml(payee.name)}</strong> ${amount}.</p>
+                        <p class="settlement-handle">UPI: ${this.escapeHtml(payee.upiId)}</p>
+                        <p class="settlement-handle">Once paid, use Mark as paid to record it.</p>
+                    </div>
+                </div>
+            ` : ''}
+        `;
     },
 
-    switchTab(tabName) {
-        // Update buttons
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.classList.remove('active');
-            if (btn.dataset.tab === tabName) {
-                btn.classList.add('active');
-            }
-        });
+    // Dark modules as one path on white, with the four-module quiet zone scanners expect
+    renderQrSvg(text, label) {
+        const qr = QrCode.encode(text);
+        if (!qr) {
+            return '';
+        }
 
-        // Update content
-        document.querySelectorAll('.tab-content').forEach(content => {
-            content.classList.remove('active');
-        });
+        const size = qr.size + 8;
+        const path = qr.modules
+            .map((row, y) => row.map((dark, x) => (dark ? `M${x + 4} ${y + 4}h1v1h-1z` : '')).join(''))
+            .join('');
 
-        const targetContent = document.getElementById(`${tabName}-tab`);
-        if (targetContent) {
-            targetContent.classList.add('active');
-        }
-    }
-};
+        return `
+            <svg class="qr-code" viewBox="0 0 ${size} ${size}" role="img" aria-label="${this.escapeHtml(label)}" shape-rendering="crispEdges">
+                <rect width="${size}" height="${size}" fill="#fff"/>
+                <path d="${path}" fill="#000"/>
+            </svg>
+        `;
+    },
 
-// Feedback Module
+    renderSharedSummary(summary) {
+        const container = document.getElementById('shared-summary');
+        document.body.classList.add('shared-mode');
+        container.classList.remove('hidden');
+
+        if (!summary) {
+            container.innerHTML = `
+                <div class="card">
+                    <div class="empty-state">
+                        <div class="empty-state-icon">🔗</div>
+                        <p>This summary link is incomplete or invalid.</p>
+                    </div>
+                    <button class="btn-primary" onclick="App.leaveSharedSummary()">Open Expense Splitter</button>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="card">
+                <div class="section-header">
+                    <h2>${this.escapeHtml(summary.name)}: Settlement Summary</h2>
+                    <span class="info-badge">Read-only</span>
+                </div>
+                <p class="shared-summary-meta">
+                    Shared ${summary.createdAt ? new Date(summary.createdAt).toLocaleString(Locale.current) : ''}
+                    · ${SETTLEMENT_STRATEGIES[summary.strategy]}
+                </p>
+
+                <div class="settlement-stats">
+                    <div class="stat-card">
+                        <div class="stat-label">Total Expenses</div>
+                        <div class="stat-value">${Decimal.format(summary.total, summary.currency)}</div>
+                    </div>
+                    <div class="stat-card">
+                        <div class="stat-label">Transactions Remaining</div>
+                        <div class="stat-value">${summary.settlements.length}</div>
+                    </div>
+                    <div class="stat-card">
+                        <div class="stat-label">Members</div>
+                        <div class="stat-value">${summary.members.length}</div>
+                    </div>
+                </div>
+
+                <div class="settlement-list">
+                    ${summary.settlements.length ? summary.settlements.map(settlement => `
+                        <div class="settlement-item">
+                            <div class="settlement-icon">💸</div>
+                            <div class="settlement-text">
+                                <strong>${this.escapeHtml(settlement.from)}</strong> pays 
+                                <strong>${this.escapeHtml(settlement.to)}</strong>
+                            </div>
+                            <div class="settlement-amount">${Decimal.format(settlement.amount, summary.currency)}</div>
+                        </div>
+                    `).join('') : `
+                        <div class="settlement-empty">
+                            <div style="font-size: 2rem; margin-bottom: 0.5rem;">✨</div>
+                            <div>All settled! No payments needed.</div>
+                        </div>
+                    `}
+                </div>
+
+                <div class="balances-list mt-2">
+                    ${summary.members.map(member => {
+                        const netCents = Decimal.toCents(member.netBalance, summary.currency);
+                        const status = netCents > 0 ? 'positive' : netCents < 0 ? 'negative' : 'neutral';
+                        return `
+                            <div class="balance-item ${status}">
+                                <div class="balance-header">
+                                    <div class="balance-name">${this.escapeHtml(member.name)}</div>
+                                    <div class="balance-net ${status}">${Decimal.format(member.netBalance, summary.currency)}</div>
+                                </div>
+                                <div class="balance-details">
+                                    <div class="balance-detail-item">
+                                        <div class="balance-detail-label">Total Paid</div>
+                                        <div class="balance-detail-value">${Decimal.format(member.totalPaid, summary.currency)}</div>
+                                    </div>
+                                    <div class="balance-detail-item">
+                                        <div class="balance-detail-label">Total Owed</div>
+                                        <div class="balance-detail-value">${Decimal.format(member.totalOwed, summary.currency)}</div>
+                                    </div>
+                                </div>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+
+                <div class="data-actions">
+                    <button class="btn-primary" onclick="App.leaveSharedSummary()">Open My Own Groups</button>
+                </div>
+            </div>
+        `;
+    },
+
+    describeQuarantined(entry) {
+        const record = entry.record;
+        if (!record || typeof record !== 'object') {
+            return JSON.stringify(record) ?? String(record);
+        }
+
+        const group = State.getGroup(entry.groupId);
+        const currency = CURRENCIES.includes(record.currency) ? record.currency : group.baseCurrency;
+        const amount = Decimal.toCents(record.amount, currency) > 0
+            ? Decimal.format(record.amount, currency)
+            : String(record.amount ?? 'no amount');
+        const memberName = id => group.members.find(m => m.id === id)?.name || 'a missing member';
+
+        switch (entry.collection) {
+            case 'members':
+                return record.name || 'No name';
+            case 'payments':
+                return `${memberName(record.from)} paid ${memberName(record.to)} ${amount}`;
+            default:
+                return `${record.title || 'No description'} · ${amount}${record.paidBy ? ` · paid by ${memberName(record.paidBy)}` : ''}`;
+        }
+    },
+
+    // The recovery screen replaces the app while it is open, like a shared summary
+    renderRecovery() {
+        const container = document.getElementById('recovery-screen');
+        const button = document.getElementById('recovery-btn');
+        const count = State.quarantine.length + (State.unreadable ? 1 : 0);
+
+        button.classList.toggle('hidden', count === 0);
+        button.textContent = `⚠ Repair Data (${count})`;
+
+        if (!this.recoveryOpen || count === 0) {
+            this.recoveryOpen = false;
+            document.body.classList.remove('recovery-mode');
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        document.body.classList.add('recovery-mode');
+        container.classList.remove('hidden');
+
+        const unreadable = State.unreadable ? `
+            <div class="card">
+                <div class="section-header">
+                    <h2>Saved Data Could Not Be Opened</h2>
+                </div>
+                <p class="recovery-hint">
+                    ${State.unreadable.reason === 'newer'
+                        ? 'This data was saved by a newer version of Expense Splitter. Reload the page to get the latest version.'
+                        : 'The data saved in this browser is damaged and could not be read.'}
+                    Nothing has been changed or deleted. Until you decide what to do with it, changes you make are not saved.
+                </p>
+                <div class="recovery-actions">
+                    ${State.unreadable.raw ? '<button class="btn-secondary" data-action="download-unreadable">Download Saved Data</button>' : ''}
+                    <button class="btn-danger" data-action="discard-unreadable">Start Fresh</button>
+                    <button class="btn-secondary" data-action="close">Continue Without Saving</button>
+                </div>
+            </div>
+        ` : '';
+
+        const repairable = State.quarantine.filter(entry => Integrity.isRepairable(entry)).length;
+        const quarantine = State.quarantine.length ? `
+            <div class="card">
+                <div class="section-header">
+                    <h2>Some Records Need Attention</h2>
+                    <span class="info-badge">${State.quarantine.length} set aside</span>
+                </div>
+                <p class="recovery-hint">
+                    These records were set aside when your data was loaded because they would break the balances.
+                    Nothing has been deleted: repair them to put them back, or discard the ones you do not need.
+                </p>
+                <div class="recovery-list">
+                    ${State.quarantine.map(entry => `
+                        <div class="recovery-item">
+                            <div class="recovery-item-info">
+                                <div class="recovery-item-title">
+                                    ${Integrity.COLLECTIONS[entry.collection]}: ${this.escapeHtml(this.describeQuarantined(entry))}
+                                </div>
+                                <div class="recovery-item-meta">${this.escapeHtml(State.getGroup(entry.groupId).name)}</div>
+                                <ul class="recovery-problems">
+                                    ${entry.problems.map(problem => `<li>${Integrity.PROBLEMS[problem] || this.escapeHtml(problem)}</li>`).join('')}
+                                </ul>
+                                ${Integrity.isRepairable(entry) ? `
+                                    <div class="recovery-item-fix">
+                                        Repair: ${[...new Set(entry.problems.map(problem => Integrity.REPAIRS[problem]))].join(' · ')}
+                                    </div>
+                                ` : ''}
+                            </div>
+                            <div class="expense-actions">
+                                ${Integrity.isRepairable(entry) ? `
+                                    <button class="btn-secondary btn-small" data-action="repair" data-id="${entry.id}">Repair</button>
+                                ` : ''}
+                                <button class="btn-danger" data-action="discard" data-id="${entry.id}">Discard</button>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="recovery-actions">
+                    <button class="btn-secondary" data-action="download-backup">Download Backup</button>
+                    ${repairable ? `<button class="btn-primary" data-action="repair-all">Repair All (${repairable})</button>` : ''}
+                    <button class="btn-secondary" data-action="close">Continue</button>
+                </div>
+            </div>
+        ` : '';
+
+        container.innerHTML = unreadable + quarantine;
+    },
+
+    renderSettlementStrategy() {
+        const group = State.getActiveGroup();
+        const treasurerSelect = document.getElementById('treasurer-select');
+
+        document.getElementById('settlement-strategy').value = group.settlementStrategy;
+        treasurerSelect.innerHTML = `
+            <option value="">Largest creditor</option>
+            ${State.members.filter(m => m.active !== false || m.id === group.treasurerId).map(m => `
+                <option value="${m.id}" ${m.id === group.treasurerId ? 'selected' : ''}>${this.escapeHtml(m.name)}</option>
+            `).join('')}
+        `;
+        treasurerSelect.classList.toggle('hidden', group.settlementStrategy !== 'treasurer');
+    },
+
+    renderPayments() {
+        const container = document.getElementById('payments-list');
+
+        if (State.payments.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>No payments recorded yet.</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = [...State.payments]
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(payment => `
+                <div class="payment-item">
+                    <div class="settlement-text">
+                        <strong>${this.escapeHtml(State.getMember(payment.from)?.name || 'Unknown')}</strong> paid 
+                        <strong>${this.escapeHtml(State.getMember(payment.to)?.name || 'Unknown')}</strong>
+                        <div class="payment-date">${new Date(payment.createdAt).toLocaleString(Locale.current)}</div>
+                    </div>
+                    <div class="settlement-amount">${Decimal.format(payment.amount, payment.currency)}</div>
+                    <button 
+                        class="btn-danger" 
+                        data-action="remove" 
+                        data-id="${payment.id}"
+                        title="Delete payment"
+                    >Delete</button>
+                </div>
+            `)
+            .join('');
+    },
+
+    renderStatementMapping() {
+        const columns = StatementImport.getColumns();
+        const mapping = StatementImport.guessMapping();
+        const columnOptions = columns
+            .map((column, index) => `<option value="${index}">${this.escapeHtml(column)}</option>`)
+            .join('');
+
+        ['date', 'description', 'amount', 'payer'].forEach(field => {
+            const select = document.getElementById(`statement-${field}-column`);
+            select.innerHTML = `<option value="">Not mapped</option>${columnOptions}`;
+            select.value = mapping[field];
+        });
+
+        document.getElementById('statement-has-header').checked = StatementImport.hasHeader;
+        document.getElementById('statement-default-payer').innerHTML = `
+            <option value="">Select member</option>
+            ${State.getActiveMembers().map(m => `<option value="${m.id}">${this.escapeHtml(m.name)}</option>`).join('')}
+        `;
+        document.getElementById('statement-split-between').innerHTML = State.getActiveMembers()
+            .map(m => `
+                <div class="checkbox-item">
+                    <input 
+                        type="checkbox" 
+                        id="statement-split-${m.id}" 
+                        value="${m.id}"
+                        name="statementSplitBetween"
+                        checked
+                    >
+                    <label for="statement-split-${m.id}">${this.escapeHtml(m.name)}</label>
+                </div>
+            `)
+            .join('');
+
+        document.getElementById('statement-mapping').classList.remove('hidden');
+        this.renderStatementPreview();
+    },
+
+    renderStatementPreview() {
+        const container = document.getElementById('statement-preview');
+        const mapping = App.getStatementMapping();
+        const preview = StatementImport.buildPreview(mapping, App.getStatementDefaults());
+
+        const detected = StatementImport.getDecimalSeparator({ ...mapping, decimalSeparator: '' });
+        document.querySelector('#statement-decimal-separator option[value=""]').textContent =
+            `Detect from amounts (${detected === ',' ? '1.234,56' : '1,234.56'})`;
+
+        if (preview.length === 0) {
+            container.innerHTML = '<p class="statement-summary">No rows found in this file.</p>';
+            return;
+        }
+
+        const ready = preview.filter(row => !row.errors.length && !row.duplicate).length;
+        const duplicates = preview.filter(row => row.duplicate).length;
+        const invalid = preview.filter(row => row.errors.length).length;
+
+        container.innerHTML = `
+            <p class="statement-summary">${ready} ready to import · ${duplicates} duplicates skipped · ${invalid} with errors</p>
+            <div class="preview-table-wrapper">
+                <table class="preview-table">
+                    <thead>
+                        <tr><th>Row</th><th>Date</th><th>Description</th><th>Amount</th><th>Paid By</th><th>Status</th></tr>
+                    </thead>
+                    <tbody>
+                        ${preview.map(row => {
+                            const status = row.errors.length ? 'error' : row.duplicate ? 'duplicate' : 'ready';
+                            const label = row.errors.length ? row.errors.join('; ') : row.duplicate ? 'Duplicate' : 'Ready';
+                            return `
+                                <tr class="preview-${status}">
+                                    <td>${row.rowNumber}</td>
+                                    <td>${row.date || ''}</td>
+                                    <td>${this.escapeHtml(row.title)}</td>
+                                    <td>${row.amount ? Decimal.format(row.amount, State.baseCurrency) : ''}</td>
+                                    <td>${this.escapeHtml(row.payerName || '')}</td>
+                                    <td>${this.escapeHtml(label)}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    // Also safe inside quoted attributes, where category names and similar free text end up
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+};
+
+// Tab Management
+
+const Tabs = {
+    init() {
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const tabName = e.target.dataset.tab;
+                this.switchTab(tabName);
+            });
+        });
+    },
+
+    switchTab(tabName) {
+        // Update buttons
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.classList.remove('active');
+            if (btn.dataset.tab === tabName) {
+                btn.classList.add('active');
+            }
+        });
+
+        // Update content
+        document.querySelectorAll('.tab-content').forEach(content => {
+            content.classList.remove('active');
+        });
+
+        const targetContent = document.getElementById(`${tabName}-tab`);
+        if (targetContent) {
+            targetContent.classList.add('active');
+        }
+    }
+};
+
+// Feedback Module
 
 const Feedback = {
     selectedRating: 0,
@@ -722,6 +2467,14 @@ const Feedback = {
         });
     },
 
+    reset() {
+        this.setRating(0);
+        document.getElementById('feedback-form').reset();
+        document.getElementById('char-count').textContent = '0';
+        document.getElementById('feedback-form').classList.remove('hidden');
+        document.getElementById('feedback-success').classList.add('hidden');
+    },
+
     submit(rating, text) {
         State.saveFeedback(rating, text);
         
@@ -734,14 +2487,59 @@ const Feedback = {
 // Application Controller
 
 const App = {
-    init() {
-        State.init();
+    editingExpenseId: null,
+
+    async init() {
+        // Summary links are read-only and must not load or save this device's data
+        const summaryCode = SharedSummary.getCodeFromUrl();
+        if (summaryCode) {
+            LocalePreference.init();
+            Theme.init();
+            document.getElementById('theme-toggle').addEventListener('click', () => {
+                Theme.toggle();
+            });
+            UI.renderSharedSummary(await SharedSummary.decode(summaryCode));
+            return;
+        }
+
+        await State.init(Database);
+        ExpenseFilter.criteria = ExpenseFilter.fromHash(location.hash) || ExpenseFilter.sanitize();
+        History.init();
+        History.onChange = () => UI.updateHistoryButtons();
+        LocalePreference.init();
         Theme.init();
         Tabs.init();
         Feedback.init();
         this.bindEvents();
+        // Damaged or unreadable data is shown before anything else
+        UI.recoveryOpen = Boolean(State.unreadable || State.quarantine.length);
         UI.renderAll();
+        this.resetExpenseForm();
         Navigation.goToStep(State.currentStep);
+        if (ExpenseFilter.isActive(ExpenseFilter.criteria)) {
+            Tabs.switchTab('expense-history');
+        }
+        this.registerServiceWorker();
+    },
+
+    // Lets the app open and work offline once it has been loaded over http(s)
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') {
+            return;
+        }
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    },
+
+    delegateActions(containerId, actions) {
+        document.getElementById(containerId).addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button && actions[button.dataset.action]) {
+                actions[button.dataset.action](button.dataset, button);
+            }
+        });
     },
 
     bindEvents() {
@@ -750,6 +2548,63 @@ const App = {
             Theme.toggle();
         });
 
+        document.getElementById('recovery-btn').addEventListener('click', () => {
+            this.openRecovery();
+        });
+
+        // Undo/redo
+        document.getElementById('undo-btn').addEventListener('click', () => {
+            this.undo();
+        });
+
+        document.getElementById('redo-btn').addEventListener('click', () => {
+            this.redo();
+        });
+
+        document.getElementById('toast-undo-btn').addEventListener('click', () => {
+            UI.hideToast();
+            this.undo();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') {
+                return;
+            }
+
+            // Leave text fields to the browser's own undo
+            if (e.target.closest('input, textarea, select')) {
+                return;
+            }
+
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        });
+
+        // Groups
+        document.getElementById('group-select').addEventListener('change', (e) => {
+            this.switchGroup(e.target.value);
+        });
+
+        document.getElementById('new-group-btn').addEventListener('click', () => {
+            this.createGroup();
+        });
+
+        document.getElementById('rename-group-btn').addEventListener('click', () => {
+            this.renameGroup();
+        });
+
+        document.getElementById('archive-group-btn').addEventListener('click', () => {
+            this.toggleArchiveGroup();
+        });
+
+        document.getElementById('delete-group-btn').addEventListener('click', () => {
+            this.deleteGroup();
+        });
+
         // Add member
         document.getElementById('add-member-btn').addEventListener('click', () => {
             this.addMember();
@@ -792,6 +2647,10 @@ const App = {
             this.addExpense();
         });
 
+        document.getElementById('cancel-edit-btn').addEventListener('click', () => {
+            this.cancelEdit();
+        });
+
         // Feedback
         document.getElementById('feedback-form').addEventListener('submit', (e) => {
             e.preventDefault();
@@ -808,108 +2667,861 @@ const App = {
 
         // Clear all
         document.getElementById('clear-all-btn').addEventListener('click', () => {
-            if (confirm('Are you sure you want to clear all data? This cannot be undone.')) {
+            if (confirm('Are you sure you want to clear all data in this group?')) {
                 State.clearAll();
-                UI.renderAll();
+                this.refreshGroup();
+                UI.showToast('Group cleared', true);
             }
         });
 
         // Amount input validation
         const amountInput = document.getElementById('expense-amount');
         amountInput.addEventListener('input', (e) => {
-            e.target.value = e.target.value.replace(/[^0-9.]/g, '');
-            
-            const parts = e.target.value.split('.');
-            if (parts.length > 2) {
-                e.target.value = parts[0] + '.' + parts.slice(1).join('');
-            }
-            
-            if (parts[1] && parts[1].length > 2) {
-                e.target.value = parts[0] + '.' + parts[1].substring(0, 2);
-            }
+            this.sanitizeDecimalInput(e.target, this.getExpenseDecimals());
+            UI.updateSplitSummary();
+            UI.updatePayers();
         });
-    },
 
-    addMember() {
-        const input = document.getElementById('member-name-input');
-        const name = input.value.trim();
+        // Amounts already typed are cut down to the new currency's decimals (none for JPY)
+        document.getElementById('expense-currency').addEventListener('change', () => {
+            const decimals = this.getExpenseDecimals();
+            document.querySelectorAll('#expense-amount, .payer-amount, .receipt-item-amount, .receipt-adjustment').forEach(input => {
+                this.sanitizeDecimalInput(input, decimals);
+            });
+            UI.updateSplitMode();
+            UI.updatePayers();
+        });
 
-        if (!name) {
-            alert('Please enter a member name');
-            return;
-        }
+        // Multiple payers
+        document.getElementById('add-payer-btn').addEventListener('click', () => {
+            this.addPayerRow();
+        });
 
-        const member = State.addMember(name);
-        
-        if (!member) {
-            alert('Member with this name already exists');
-            return;
-        }
+        ['expense-paid-by-amount', 'additional-payers'].forEach(id => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                if (e.target.classList.contains('payer-amount')) {
+                    this.sanitizeDecimalInput(e.target, this.getExpenseDecimals());
+                }
+                UI.updatePayers();
+            });
+        });
 
-        input.value = '';
-        UI.renderAll();
-    },
+        document.getElementById('expense-category').addEventListener('change', () => {
+            UI.updateCustomCategory();
+            UI.renderBudgetStatus();
+        });
 
-    removeMember(memberId) {
-        const member = State.getMember(memberId);
-        
-        if (!confirm(`Remove ${member.name}?`)) {
-            return;
-        }
+        // Budgets
+        document.getElementById('save-total-budget-btn').addEventListener('click', () => {
+            this.saveBudget('total', null, document.getElementById('budget-total-input'));
+        });
 
-        const removed = State.removeMember(memberId);
-        
-        if (!removed) {
-            alert('Cannot remove member who is involved in expenses. Delete those expenses first.');
-            return;
-        }
+        document.getElementById('add-budget-limit-btn').addEventListener('click', () => {
+            const [scope, ...key] = document.getElementById('budget-target-select').value.split(':');
+            this.saveBudget(scope, key.join(':'), document.getElementById('budget-limit-input'));
+        });
 
-        UI.renderAll();
-    },
+        ['budget-total-input', 'budget-limit-input'].forEach(id => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                this.sanitizeDecimalInput(e.target, Decimal.scale(State.baseCurrency));
+            });
+        });
 
-    addExpense() {
-        const title = document.getElementById('expense-title').value.trim();
-        const amount = document.getElementById('expense-amount').value.trim();
-        const paidBy = document.getElementById('expense-paid-by').value;
-        
-        const splitBetweenCheckboxes = document.querySelectorAll('input[name="splitBetween"]:checked');
-        const splitBetween = Array.from(splitBetweenCheckboxes).map(cb => cb.value);
+        document.getElementById('budgets-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-scope]');
+            if (button) {
+                this.removeBudget(button.dataset.scope, button.dataset.key);
+            }
+        });
 
-        if (!title) {
-            alert('Please enter expense description');
-            return;
-        }
+        // Buttons rendered into lists name their action and record in data attributes
+        this.delegateActions('members-list', {
+            edit: ({ id }) => this.editMember(id),
+            remove: ({ id }) => this.removeMember(id),
+            save: ({ id }) => this.saveMember(id),
+            cancel: () => this.cancelMemberEdit(),
+            'toggle-active': ({ id }) => this.toggleMemberActive(id),
+            merge: ({ id }) => this.mergeMember(id)
+        });
 
-        if (!amount || parseFloat(amount) <= 0) {
-            alert('Please enter a valid amount greater than 0');
-            return;
-        }
+        this.delegateActions('additional-payers', {
+            remove: (data, button) => this.removePayerRow(button.closest('.payer-row'))
+        });
+
+        this.delegateActions('receipt-items', {
+            remove: (data, button) => this.removeReceiptItem(button.closest('.receipt-item'))
+        });
+
+        this.delegateActions('rates-list', {
+            remove: ({ id }) => this.removeRate(id)
+        });
+
+        this.delegateActions('expenses-list', {
+            edit: ({ id }) => this.editExpense(id),
+            skip: ({ id }) => this.skipOccurrence(id),
+            remove: ({ id }) => this.removeExpense(id)
+        });
+
+        this.delegateActions('recurring-list', {
+            skip: ({ id }) => this.skipNextOccurrence(id),
+            remove: ({ id }) => this.removeRecurring(id)
+        });
+
+        this.delegateActions('balances-list', {
+            statement: ({ id }) => this.showStatement(id)
+        });
+
+        this.delegateActions('settlement-list', {
+            'mark-paid': ({ from, to, amount }) => this.markSettlementPaid(from, to, amount),
+            'toggle-qr': ({ from, to }) => this.toggleUpiQr(from, to)
+        });
+
+        this.delegateActions('payments-list', {
+            remove: ({ id }) => this.removePayment(id)
+        });
+
+        this.delegateActions('recovery-screen', {
+            repair: ({ id }) => this.repairRecord(id),
+            discard: ({ id }) => this.discardRecord(id),
+            'repair-all': () => this.repairAllRecords(),
+            'download-backup': () => this.downloadRecoveryBackup(),
+            'download-unreadable': () => this.downloadUnreadableData(),
+            'discard-unreadable': () => this.discardUnreadableData(),
+            close: () => this.closeRecovery()
+        });
+
+        document.getElementById('expense-repeat').addEventListener('change', () => {
+            UI.updateRepeatOptions();
+        });
+
+        // Export, import and print
+        document.getElementById('export-json-btn').addEventListener('click', () => {
+            this.exportJson();
+        });
+
+        document.getElementById('export-expenses-csv-btn').addEventListener('click', () => {
+            this.exportExpensesCsv();
+        });
+
+        document.getElementById('export-settlements-csv-btn').addEventListener('click', () => {
+            this.exportSettlementsCsv();
+        });
+
+        document.getElementById('print-report-btn').addEventListener('click', () => {
+            this.printReport();
+        });
+
+        document.getElementById('share-summary-btn').addEventListener('click', () => {
+            this.shareSummary();
+        });
+
+        document.getElementById('import-btn').addEventListener('click', () => {
+            document.getElementById('import-file-input').click();
+        });
+
+        document.getElementById('import-file-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importFile(file);
+            }
+        });
+
+        // A summary link pasted into this tab opens the read-only view; anything else is expense filters
+        window.addEventListener('hashchange', () => {
+            if (SharedSummary.getCodeFromUrl()) {
+                location.reload();
+                return;
+            }
+
+            ExpenseFilter.criteria = ExpenseFilter.fromHash(location.hash) || ExpenseFilter.sanitize();
+            UI.renderExpenses();
+        });
+
+        // Expense History search and filters
+        const expenseFilters = document.getElementById('expense-filters');
+        expenseFilters.addEventListener('input', (e) => {
+            if (e.target.id === 'filter-min' || e.target.id === 'filter-max') {
+                this.sanitizeDecimalInput(e.target, Decimal.scale(State.baseCurrency));
+            }
+            if (e.target.matches('input')) {
+                this.updateExpenseFilter();
+            }
+        });
+        expenseFilters.addEventListener('change', (e) => {
+            if (e.target.matches('select, input[type="date"]')) {
+                this.updateExpenseFilter();
+            }
+        });
+
+        document.getElementById('filter-clear-btn').addEventListener('click', () => {
+            this.setExpenseFilter({ sort: ExpenseFilter.criteria.sort });
+        });
+
+        // Sync between devices
+        document.getElementById('sync-create-btn').addEventListener('click', () => {
+            this.createSyncCode();
+        });
+
+        document.getElementById('sync-copy-btn').addEventListener('click', () => {
+            this.copySyncCode();
+        });
+
+        document.getElementById('sync-download-btn').addEventListener('click', () => {
+            this.downloadSyncCode();
+        });
+
+        document.getElementById('sync-merge-btn').addEventListener('click', () => {
+            this.mergeSyncCode(document.getElementById('sync-code-input').value);
+        });
+
+        document.getElementById('sync-file-btn').addEventListener('click', () => {
+            document.getElementById('sync-file-input').click();
+        });
+
+        document.getElementById('sync-file-input').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.mergeSyncCode(await file.text());
+            }
+        });
+
+        // Statement CSV import
+        document.getElementById('statement-file-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.loadStatement(file);
+            }
+        });
+
+        document.getElementById('statement-mapping').addEventListener('change', (e) => {
+            if (e.target.id === 'statement-has-header') {
+                StatementImport.hasHeader = e.target.checked;
+                UI.renderStatementMapping();
+                return;
+            }
+            UI.renderStatementPreview();
+        });
+
+        document.getElementById('statement-import-btn').addEventListener('click', () => {
+            this.importStatement();
+        });
+
+        // Settlement strategy
+        document.getElementById('settlement-strategy').addEventListener('change', () => {
+            this.setSettlementStrategy();
+        });
+
+        document.getElementById('treasurer-select').addEventListener('change', () => {
+            this.setSettlementStrategy();
+        });
+
+        // Currencies
+        document.getElementById('base-currency-select').addEventListener('change', (e) => {
+            this.setBaseCurrency(e.target.value);
+        });
+
+        document.getElementById('locale-select').addEventListener('change', (e) => {
+            this.setLocale(e.target.value);
+        });
+
+        document.getElementById('add-rate-btn').addEventListener('click', () => {
+            this.addRate();
+        });
+
+        document.getElementById('import-rates-btn').addEventListener('click', () => {
+            this.importRates();
+        });
+
+        document.getElementById('show-original-currencies').addEventListener('change', (e) => {
+            State.setShowOriginalCurrencies(e.target.checked);
+            UI.renderBalances();
+        });
+
+        // Split mode and per-member split values
+        document.getElementById('expense-split-mode').addEventListener('change', () => {
+            UI.updateSplitMode();
+        });
+
+        const splitContainer = document.getElementById('split-between-checkboxes');
+        splitContainer.addEventListener('input', (e) => {
+            if (e.target.classList.contains('split-value-input')) {
+                // Percentages and shares always allow two decimals
+                const exact = document.getElementById('expense-split-mode').value === 'exact';
+                this.sanitizeDecimalInput(e.target, exact ? this.getExpenseDecimals() : 2);
+            }
+            UI.updateSplitSummary();
+        });
+        splitContainer.addEventListener('change', () => {
+            UI.updateSplitSummary();
+        });
+
+        // Itemized receipt editor
+        document.getElementById('add-receipt-item-btn').addEventListener('click', () => {
+            this.addReceiptItem();
+        });
+
+        const itemizedEditor = document.getElementById('itemized-editor');
+        itemizedEditor.addEventListener('input', (e) => {
+            if (e.target.matches('.receipt-item-amount, .receipt-adjustment')) {
+                this.sanitizeDecimalInput(e.target, this.getExpenseDecimals());
+            }
+            UI.updateSplitSummary();
+        });
+    },
+
+    // decimals is the minor-unit precision of the amount's currency
+    sanitizeDecimalInput(input, decimals = 2) {
+        input.value = input.value.replace(/[^0-9.]/g, '');
+        
+        const parts = input.value.split('.');
+        if (parts.length > 2) {
+            input.value = parts[0] + '.' + parts.slice(1).join('');
+        }
+        
+        if (decimals === 0) {
+            input.value = parts[0];
+        } else if (parts[1] && parts[1].length > decimals) {
+            input.value = parts[0] + '.' + parts[1].substring(0, decimals);
+        }
+    },
+
+    getExpenseDecimals() {
+        return Decimal.scale(document.getElementById('expense-currency').value);
+    },
+
+    createGroup() {
+        const name = prompt('Name for the new group (e.g. Goa trip)');
+        if (name === null) {
+            return;
+        }
+
+        if (!name.trim()) {
+            alert('Please enter a group name');
+            return;
+        }
+
+        if (!State.createGroup(name)) {
+            alert('Group with this name already exists');
+            return;
+        }
+
+        this.refreshGroup();
+    },
+
+    renameGroup() {
+        const group = State.getActiveGroup();
+        const name = prompt('Rename group', group.name);
+        if (name === null || name.trim() === group.name) {
+            return;
+        }
+
+        if (!name.trim()) {
+            alert('Please enter a group name');
+            return;
+        }
+
+        if (!State.renameGroup(group.id, name)) {
+            alert('Group with this name already exists');
+            return;
+        }
+
+        UI.renderGroups();
+    },
+
+    switchGroup(groupId) {
+        if (State.switchGroup(groupId)) {
+            this.refreshGroup();
+        }
+    },
+
+    toggleArchiveGroup() {
+        const group = State.getActiveGroup();
+        State.setGroupArchived(group.id, !group.archived);
+        UI.renderGroups();
+    },
+
+    deleteGroup() {
+        const group = State.getActiveGroup();
+        if (!confirm(`Delete "${group.name}" with all its members and expenses?`)) {
+            return;
+        }
+
+        State.deleteGroup(group.id);
+        this.refreshGroup();
+        UI.showToast(`"${group.name}" deleted`, true);
+    },
+
+    undo() {
+        const entry = History.undo();
+        if (entry) {
+            this.refreshGroup();
+            UI.showToast(`Undone: ${entry.label}`);
+        }
+    },
+
+    redo() {
+        const entry = History.redo();
+        if (entry) {
+            this.refreshGroup();
+            UI.showToast(`Redone: ${entry.label}`);
+        }
+    },
+
+    refreshGroup() {
+        this.resetExpenseForm();
+        document.getElementById('sync-code-output').value = '';
+        Feedback.reset();
+        UI.renderAll();
+        Navigation.goToStep(State.currentStep);
+    },
+
+    addMember() {
+        const input = document.getElementById('member-name-input');
+        const name = input.value.trim();
+
+        if (!name) {
+            alert('Please enter a member name');
+            return;
+        }
+
+        const member = State.addMember(name);
+        
+        if (!member) {
+            alert('Member with this name already exists');
+            return;
+        }
+
+        input.value = '';
+        UI.renderAll();
+    },
+
+    removeMember(memberId) {
+        const member = State.getMember(memberId);
+        
+        if (!confirm(`Remove ${member.name}?`)) {
+            return;
+        }
+
+        const removed = State.removeMember(memberId);
+        
+        if (!removed) {
+            alert('Cannot remove member who is involved in expenses, payments or recurring expenses. Mark them inactive or merge them into another member instead.');
+            return;
+        }
+
+        UI.renderAll();
+        UI.showToast(`${member.name} removed`, true);
+    },
+
+    editMember(memberId) {
+        UI.editingMemberId = memberId;
+        UI.renderMembers();
+        document.getElementById('member-edit-name').focus();
+    },
+
+    cancelMemberEdit() {
+        UI.editingMemberId = null;
+        UI.renderMembers();
+    },
+
+    saveMember(memberId) {
+        const name = document.getElementById('member-edit-name').value.trim();
+        if (!name) {
+            alert('Please enter a member name');
+            return;
+        }
+
+        const namesake = State.findMemberByName(name);
+        if (namesake && namesake.id !== memberId) {
+            alert('Member with this name already exists');
+            return;
+        }
+
+        const fields = { name };
+        for (const [key, { label, pattern }] of Object.entries(MEMBER_CONTACT_FIELDS)) {
+            fields[key] = document.getElementById(`member-edit-${key}`).value.trim();
+            if (fields[key] && !pattern.test(fields[key])) {
+                alert(`Please enter a valid ${label} or leave it empty`);
+                return;
+            }
+        }
+
+        if (!State.updateMember(memberId, fields)) {
+            alert('Failed to save member.');
+            return;
+        }
+
+        UI.editingMemberId = null;
+        UI.renderAll();
+        UI.showToast(`${name} updated`, true);
+    },
+
+    toggleMemberActive(memberId) {
+        const member = State.getMember(memberId);
+        const active = member.active === false;
+        State.setMemberActive(memberId, active);
+
+        UI.editingMemberId = null;
+        UI.renderAll();
+        UI.showToast(`${member.name} marked ${active ? 'active' : 'inactive'}`, true);
+    },
+
+    mergeMember(sourceId) {
+        const source = State.getMember(sourceId);
+        const target = State.getMember(document.getElementById('member-merge-target').value);
+        if (!target) {
+            alert('Please choose the member to merge into');
+            return;
+        }
+
+        if (!confirm(`Merge ${source.name} into ${target.name}? All of ${source.name}'s expenses, payments and budget move to ${target.name}, and ${source.name} is removed.`)) {
+            return;
+        }
+
+        if (!State.mergeMembers(sourceId, target.id)) {
+            alert(`${source.name} and ${target.name} share an item on an itemized receipt. Edit that receipt first.`);
+            return;
+        }
+
+        UI.editingMemberId = null;
+        if (UI.statementMemberId === sourceId) UI.statementMemberId = null;
+        UI.renderAll();
+        UI.showToast(`${source.name} merged into ${target.name}`, true);
+    },
+
+    addExpense() {
+        const title = document.getElementById('expense-title').value.trim();
+        const amount = document.getElementById('expense-amount').value.trim();
+        const paidBy = document.getElementById('expense-paid-by').value;
+        
+        const splitBetweenCheckboxes = document.querySelectorAll('input[name="splitBetween"]:checked');
+        const splitBetween = Array.from(splitBetweenCheckboxes).map(cb => cb.value);
+        const currency = document.getElementById('expense-currency').value;
+        const date = document.getElementById('expense-date').value;
+        const categorySelection = document.getElementById('expense-category').value;
+        const category = categorySelection === '__custom'
+            ? document.getElementById('expense-custom-category').value.trim()
+            : categorySelection;
+        const notes = document.getElementById('expense-notes').value;
+        const splitMode = document.getElementById('expense-split-mode').value;
+        const splitValues = {};
+        splitBetween.forEach(id => {
+            splitValues[id] = document.getElementById(`split-value-${id}`).value.trim();
+        });
+        const itemized = splitMode === 'itemized';
+        const items = itemized ? this.getReceiptItems() : [];
+        const adjustments = itemized ? this.getReceiptAdjustments() : {};
+        const additionalPayers = this.getAdditionalPayers();
+        const repeat = this.editingExpenseId ? 'none' : document.getElementById('expense-repeat').value;
+        const intervalDays = document.getElementById('expense-repeat-interval').value;
+        const endDate = document.getElementById('expense-repeat-end').value;
+
+        if (!title) {
+            alert('Please enter expense description');
+            return;
+        }
+
+        if (itemized && !this.validateReceipt(items, adjustments, currency)) {
+            return;
+        }
+
+        if (Decimal.toCents(amount, currency) <= 0) {
+            alert('Please enter a valid amount greater than 0');
+            return;
+        }
+
+        if (!Dates.isValidKey(date)) {
+            alert('Please choose a valid expense date');
+            return;
+        }
+
+        if (!category) {
+            alert('Please enter a name for the custom category');
+            return;
+        }
 
         if (!paidBy) {
             alert('Please select who paid');
             return;
         }
 
-        if (splitBetween.length === 0) {
-            alert('Please select at least one person to split between');
-            return;
+        const payers = {};
+        if (additionalPayers.length) {
+            payers[paidBy] = document.getElementById('expense-paid-by-amount').value.trim();
+
+            for (const payer of additionalPayers) {
+                if (!payer.memberId || payer.memberId in payers) {
+                    alert('Please choose a different member for each payer');
+                    return;
+                }
+                payers[payer.memberId] = payer.amount;
+            }
+
+            if (Object.values(payers).some(value => Decimal.toCents(value, currency) <= 0)) {
+                alert('Please enter an amount greater than 0 for each payer');
+                return;
+            }
+
+            const paidCents = Object.values(payers).reduce((sum, value) => sum + Decimal.toCents(value, currency), 0);
+            if (paidCents !== Decimal.toCents(amount, currency)) {
+                alert(`Payer amounts must add up to ${Decimal.format(amount, currency)}`);
+                return;
+            }
+        }
+
+        if (!itemized && splitBetween.length === 0) {
+            alert('Please select at least one person to split between');
+            return;
+        }
+
+        if (!itemized && !State.normalizeSplit(Decimal.toCents(amount, currency), splitBetween, splitMode, splitValues, currency)) {
+            const messages = {
+                exact: `Exact amounts must add up to ${Decimal.format(amount, currency)}`,
+                percent: 'Percentages must add up to 100%',
+                shares: 'Please enter a share greater than 0 for each selected member'
+            };
+            alert(messages[splitMode] || 'Please choose a valid split mode');
+            return;
+        }
+
+        if (repeat === 'custom' && !(Number.isInteger(Number(intervalDays)) && intervalDays >= 1 && intervalDays <= 365)) {
+            alert('Please enter the number of days between occurrences (1 to 365)');
+            return;
+        }
+
+        if (repeat !== 'none' && endDate && endDate < date) {
+            alert('The repeat end date must be on or after the expense date');
+            return;
+        }
+
+        const options = { splitMode, splitValues, currency, date, category, notes, items, adjustments, payers };
+
+        if (!this.confirmBudget(title, amount, paidBy, splitBetween, options)) {
+            return;
+        }
+
+        if (repeat !== 'none') {
+            const template = State.addRecurring(title, amount, paidBy, splitBetween, {
+                ...options,
+                frequency: repeat,
+                intervalDays,
+                endDate
+            });
+
+            if (!template) {
+                alert('Failed to add recurring expense. Please check your inputs.');
+                return;
+            }
+
+            this.resetExpenseForm();
+            Tabs.switchTab('recurring');
+            UI.renderExpenseViews();
+            return;
+        }
+
+        const expense = this.editingExpenseId
+            ? State.updateExpense(this.editingExpenseId, title, amount, paidBy, splitBetween, options)
+            : State.addExpense(title, amount, paidBy, splitBetween, options);
+
+        if (!expense) {
+            alert(`Failed to ${this.editingExpenseId ? 'save' : 'add'} expense. Please check your inputs.`);
+            return;
+        }
+
+        // Clear form
+        this.resetExpenseForm();
+
+        // Switch to expense history tab
+        Tabs.switchTab('expense-history');
+        UI.renderExpenseViews();
+    },
+
+    editExpense(expenseId) {
+        const expense = State.getExpense(expenseId);
+        if (!expense) {
+            return;
+        }
+
+        this.resetExpenseForm();
+        this.editingExpenseId = expenseId;
+        // Brings back inactive members who are on this expense
+        UI.renderMemberSelectors();
+
+        document.getElementById('expense-title').value = expense.title;
+        document.getElementById('expense-amount').value = expense.amount;
+        document.getElementById('expense-currency').value = expense.currency || State.baseCurrency;
+        document.getElementById('expense-date').value = Dates.ofExpense(expense);
+        document.getElementById('expense-category').value = expense.category || 'other';
+        document.getElementById('expense-notes').value = expense.notes || '';
+        document.getElementById('expense-paid-by').value = expense.paidBy;
+        if (expense.payers) {
+            document.getElementById('expense-paid-by-amount').value = parseFloat(expense.payers[expense.paidBy]);
+            Object.entries(expense.payers)
+                .filter(([memberId]) => memberId !== expense.paidBy)
+                .forEach(([memberId, payerAmount]) => this.addPayerRow({ memberId, amount: payerAmount }));
+        }
+        document.getElementById('expense-split-mode').value = expense.splitMode || 'equal';
+
+        expense.splitBetween.forEach(id => {
+            const checkbox = document.getElementById(`split-${id}`);
+            if (checkbox) checkbox.checked = true;
+        });
+        Object.entries(expense.splitValues || {}).forEach(([id, value]) => {
+            const input = document.getElementById(`split-value-${id}`);
+            if (input) input.value = parseFloat(value);
+        });
+        if (expense.splitMode === 'itemized') {
+            UI.renderReceiptItems(expense.items || []);
+            Object.keys(RECEIPT_ADJUSTMENTS).forEach(type => {
+                const value = parseFloat((expense.adjustments || {})[type]);
+                document.getElementById(`receipt-${type}`).value = value ? value : '';
+            });
         }
 
-        const expense = State.addExpense(title, amount, paidBy, splitBetween);
+        document.getElementById('expense-submit-btn').textContent = 'Save Changes';
+        document.getElementById('cancel-edit-btn').classList.remove('hidden');
+        // Editing one occurrence leaves its schedule untouched
+        document.getElementById('repeat-options').classList.add('hidden');
+        UI.renderBudgetStatus();
+        UI.updateSplitMode();
+        Tabs.switchTab('add-expense');
+    },
+
+    cancelEdit() {
+        this.resetExpenseForm();
+        Tabs.switchTab('expense-history');
+    },
 
-        if (!expense) {
-            alert('Failed to add expense. Please check your inputs.');
+    resetExpenseForm() {
+        this.editingExpenseId = null;
+        document.getElementById('expense-form').reset();
+        UI.renderMemberSelectors();
+        document.getElementById('expense-date').value = Dates.today();
+        UI.renderCategoryOptions();
+        document.querySelectorAll('input[name="splitBetween"]').forEach(cb => cb.checked = false);
+        UI.renderReceiptItems([]);
+        document.getElementById('additional-payers').innerHTML = '';
+        UI.updatePayers();
+        document.getElementById('expense-submit-btn').textContent = 'Add Expense';
+        document.getElementById('cancel-edit-btn').classList.add('hidden');
+        document.getElementById('repeat-options').classList.remove('hidden');
+        UI.updateRepeatOptions();
+        UI.renderBudgetStatus();
+        UI.updateSplitMode();
+    },
+
+    // Warns before an expense pushes the group past one of its budgets
+    confirmBudget(title, amount, paidBy, splitBetween, options) {
+        const fields = State.validateExpenseFields(title, amount, paidBy, splitBetween, options);
+        if (!fields) {
+            return true;
+        }
+
+        const others = State.expenses.filter(e => e.id !== this.editingExpenseId);
+        const overruns = Calculator.findBudgetOverruns(
+            State.expenses,
+            [...others, fields],
+            State.getActiveGroup().budgets,
+            State.getCalculationOptions()
+        );
+        if (overruns.length === 0) {
+            return true;
+        }
+
+        const lines = overruns.map(entry => {
+            const over = Decimal.format(Decimal.subtract(entry.spent, entry.limit, State.baseCurrency), State.baseCurrency);
+            return `• ${UI.getBudgetLabel(entry)}: ${over} over the ${Decimal.format(entry.limit, State.baseCurrency)} limit`;
+        });
+        return confirm(`This expense goes over budget:\n${lines.join('\n')}\n\nSave it anyway?`);
+    },
+
+    saveBudget(scope, key, input) {
+        if (!State.setBudget(scope, key, input.value.trim())) {
+            alert('Please enter a valid budget amount');
             return;
         }
 
-        // Clear form
-        document.getElementById('expense-form').reset();
-        splitBetweenCheckboxes.forEach(cb => cb.checked = false);
+        if (scope !== 'total') {
+            input.value = '';
+        }
+        UI.renderExpenseViews();
+    },
 
-        // Switch to expense history tab
-        Tabs.switchTab('expense-history');
-        UI.renderExpenses();
-        UI.renderBalances();
+    removeBudget(scope, key) {
+        State.setBudget(scope, key, '');
+        UI.renderExpenseViews();
+        UI.showToast('Budget removed', true);
+    },
+
+    addPayerRow(payer) {
+        document.getElementById('additional-payers').insertAdjacentHTML('beforeend', UI.renderPayerRow(payer));
+        UI.updatePayers();
+    },
+
+    removePayerRow(row) {
+        row.remove();
+        UI.updatePayers();
+    },
+
+    getAdditionalPayers() {
+        return Array.from(document.querySelectorAll('#additional-payers .payer-row')).map(row => ({
+            memberId: row.querySelector('.payer-select').value,
+            amount: row.querySelector('.payer-amount').value.trim()
+        }));
+    },
+
+    addReceiptItem() {
+        document.getElementById('receipt-items').insertAdjacentHTML('beforeend', UI.renderReceiptItem());
+    },
+
+    removeReceiptItem(row) {
+        row.remove();
+        UI.updateSplitSummary();
+    },
+
+    getReceiptItems() {
+        return Array.from(document.querySelectorAll('#receipt-items .receipt-item')).map(row => ({
+            id: row.dataset.itemId,
+            name: row.querySelector('.receipt-item-name').value.trim(),
+            amount: row.querySelector('.receipt-item-amount').value.trim(),
+            memberIds: Array.from(row.querySelectorAll('.receipt-item-members input:checked')).map(cb => cb.value)
+        }));
+    },
+
+    getReceiptAdjustments() {
+        const adjustments = {};
+        Object.keys(RECEIPT_ADJUSTMENTS).forEach(type => {
+            adjustments[type] = document.getElementById(`receipt-${type}`).value.trim();
+        });
+        return adjustments;
+    },
+
+    validateReceipt(items, adjustments, currency) {
+        if (items.length === 0) {
+            alert('Please add at least one receipt item');
+            return false;
+        }
+
+        for (const item of items) {
+            if (!item.name || Decimal.toCents(item.amount, currency) <= 0) {
+                alert('Please enter a name and an amount greater than 0 for every receipt item');
+                return false;
+            }
+            if (item.memberIds.length === 0) {
+                alert(`Please choose who shared "${item.name}"`);
+                return false;
+            }
+        }
+
+        const itemsCents = items.reduce((sum, item) => sum + Decimal.toCents(item.amount, currency), 0);
+        if (Decimal.toCents(adjustments.discount, currency) > itemsCents) {
+            alert('The discount cannot be larger than the items total');
+            return false;
+        }
+
+        return true;
     },
 
     removeExpense(expenseId) {
@@ -918,8 +3530,471 @@ const App = {
         }
 
         State.removeExpense(expenseId);
+        if (this.editingExpenseId === expenseId) {
+            this.resetExpenseForm();
+        }
+        UI.renderExpenseViews();
+        UI.showToast('Expense deleted', true);
+    },
+
+    skipOccurrence(expenseId) {
+        const expense = State.getExpense(expenseId);
+        if (!expense || !confirm(`Skip "${expense.title}" on ${Dates.format(expense.date)}? It will not be added again.`)) {
+            return;
+        }
+
+        State.skipOccurrence(expenseId);
+        if (this.editingExpenseId === expenseId) {
+            this.resetExpenseForm();
+        }
+        UI.renderExpenseViews();
+        UI.showToast('Occurrence skipped', true);
+    },
+
+    skipNextOccurrence(recurringId) {
+        const date = State.skipNextOccurrence(recurringId);
+        if (!date) {
+            return;
+        }
+
+        UI.renderRecurring();
+        UI.showToast(`Skipped ${Dates.format(date)}`, true);
+    },
+
+    removeRecurring(recurringId) {
+        if (!confirm('Stop this recurring expense? Expenses already added are kept.')) {
+            return;
+        }
+
+        State.removeRecurring(recurringId);
+        UI.renderRecurring();
+        UI.showToast('Recurring expense stopped', true);
+    },
+
+    exportJson() {
+        const group = State.getActiveGroup();
+        Exporter.download(Exporter.fileName(group, 'backup', 'json'), Exporter.buildJson(group), 'application/json');
+    },
+
+    exportExpensesCsv() {
+        const group = State.getActiveGroup();
+        Exporter.download(Exporter.fileName(group, 'expenses', 'csv'), Exporter.buildExpensesCsv(group), 'text/csv');
+    },
+
+    exportSettlementsCsv() {
+        const group = State.getActiveGroup();
+        const balances = Calculator.calculateBalances(State.members, State.expenses, State.getCalculationOptions());
+        const settlements = Calculator.calculateSettlements(balances, State.getSettlementOptions());
+        Exporter.download(
+            Exporter.fileName(group, 'settlements', 'csv'),
+            Exporter.buildSettlementsCsv(settlements, State.baseCurrency, State.members),
+            'text/csv'
+        );
+    },
+
+    showStatement(memberId) {
+        UI.statementMemberId = memberId;
+        UI.renderStatement();
+        document.getElementById('member-statement').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    },
+
+    toggleUpiQr(fromId, toId) {
+        const key = `${fromId}:${toId}`;
+        UI.upiQrKey = UI.upiQrKey === key ? null : key;
+        UI.renderSettlements();
+    },
+
+    closeStatement() {
+        UI.statementMemberId = null;
+        UI.renderStatement();
+    },
+
+    exportStatementCsv() {
+        const group = State.getActiveGroup();
+        const member = State.getMember(UI.statementMemberId);
+        const statement = Calculator.calculateMemberStatement(member.id, State.expenses, State.getCalculationOptions());
+        Exporter.download(
+            Exporter.fileName(group, `statement-${Exporter.slugify(member.name) || 'member'}`, 'csv'),
+            Exporter.buildStatementCsv(statement),
+            'text/csv'
+        );
+    },
+
+    // Prints only the open statement, as that member's personal copy
+    printStatement() {
+        UI.renderStatement();
+        document.body.classList.add('printing-statement');
+        window.print();
+        document.body.classList.remove('printing-statement');
+    },
+
+    printReport() {
+        UI.renderSettlements();
+        document.getElementById('report-header').innerHTML = `
+            <h2>${UI.escapeHtml(State.getActiveGroup().name)} — Settlement Report</h2>
+            <p>Generated ${new Date().toLocaleString(Locale.current)}</p>
+        `;
+        window.print();
+    },
+
+    async importFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            alert('Could not read this file. Please choose a JSON export from Expense Splitter.');
+            return;
+        }
+
+        let mode = 'merge';
+        if (State.members.length || State.expenses.length) {
+            if (!confirm('Merge the imported data into this group? Press Cancel to replace it instead.')) {
+                if (!confirm('Replace all data in this group with the imported file?')) {
+                    return;
+                }
+                mode = 'replace';
+            }
+        }
+
+        const result = State.importGroup(data, mode);
+        if (!result) {
+            alert('This file is not a supported Expense Splitter export.');
+            return;
+        }
+
+        alert(
+            `Imported ${result.members} members, ${result.expenses} expenses, ${result.payments} payments and ${result.recurring} recurring expenses.` +
+            (result.skipped ? ` Skipped ${result.skipped} invalid records.` : '')
+        );
+        this.refreshGroup();
+    },
+
+    async shareSummary() {
+        const group = State.getActiveGroup();
+        const link = await SharedSummary.buildLink(group);
+
+        if (navigator.share) {
+            try {
+                await navigator.share({ title: `${group.name}: who pays whom`, url: link });
+                return;
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+            }
+        }
+
+        try {
+            await navigator.clipboard.writeText(link);
+            UI.showToast('Summary link copied');
+        } catch (error) {
+            prompt('Copy this link to share the settlement summary:', link);
+        }
+    },
+
+    updateExpenseFilter() {
+        const criteria = {};
+        Object.entries(ExpenseFilter.FIELDS).forEach(([key, id]) => {
+            criteria[key] = document.getElementById(id).value;
+        });
+        this.setExpenseFilter(criteria);
+    },
+
+    // Replacing the hash in place keeps every keystroke out of the browser history
+    setExpenseFilter(criteria) {
+        ExpenseFilter.criteria = ExpenseFilter.sanitize(criteria);
+        history.replaceState(null, '', location.pathname + location.search + ExpenseFilter.toHash(ExpenseFilter.criteria));
         UI.renderExpenses();
-        UI.renderBalances();
+    },
+
+    openRecovery() {
+        UI.recoveryOpen = true;
+        UI.renderRecovery();
+        window.scrollTo({ top: 0 });
+    },
+
+    closeRecovery() {
+        UI.recoveryOpen = false;
+        UI.renderRecovery();
+    },
+
+    repairRecord(entryId) {
+        if (!State.restoreQuarantined(entryId)) {
+            alert('This record could not be repaired yet. Check the fix listed for it, or download a backup and discard it.');
+            return;
+        }
+
+        this.refreshGroup();
+        UI.showToast('Record repaired', true);
+    },
+
+    repairAllRecords() {
+        const repaired = State.quarantine
+            .filter(entry => Integrity.isRepairable(entry))
+            .filter(entry => State.restoreQuarantined(entry.id)).length;
+
+        this.refreshGroup();
+        UI.showToast(`${repaired} ${repaired === 1 ? 'record' : 'records'} repaired`, true);
+    },
+
+    discardRecord(entryId) {
+        if (!confirm('Discard this record? Download a backup first if you might need it.')) {
+            return;
+        }
+
+        State.discardQuarantined(entryId);
+        this.refreshGroup();
+        UI.showToast('Record discarded', true);
+    },
+
+    // Everything as stored now, including the records set aside, so nothing is lost by repairing
+    downloadRecoveryBackup() {
+        Exporter.download(
+            `expense-splitter-recovery-${new Date().toISOString().slice(0, 10)}.json`,
+            JSON.stringify({
+                version: SCHEMA_VERSION,
+                groups: State.groups,
+                activeGroupId: State.activeGroupId,
+                quarantine: State.quarantine
+            }, null, 2),
+            'application/json'
+        );
+    },
+
+    downloadUnreadableData() {
+        Exporter.download(
+            `expense-splitter-saved-data-${new Date().toISOString().slice(0, 10)}.json`,
+            State.unreadable.raw,
+            'application/json'
+        );
+    },
+
+    discardUnreadableData() {
+        if (!confirm('Start fresh? The saved data that could not be opened will be replaced by your groups from now on. Download it first if you might need it.')) {
+            return;
+        }
+
+        State.discardUnreadable();
+        this.refreshGroup();
+        UI.showToast('Starting fresh');
+    },
+
+    leaveSharedSummary() {
+        history.replaceState(null, '', location.pathname + location.search);
+        location.reload();
+    },
+
+    async createSyncCode() {
+        const output = document.getElementById('sync-code-output');
+        output.value = await Sync.encode(State.getActiveGroup());
+        output.select();
+    },
+
+    async copySyncCode() {
+        const output = document.getElementById('sync-code-output');
+        if (!output.value) {
+            await this.createSyncCode();
+        }
+
+        try {
+            await navigator.clipboard.writeText(output.value);
+            UI.showToast('Sync code copied');
+        } catch (error) {
+            output.select();
+            alert('Could not copy automatically. The code is selected, please copy it manually.');
+        }
+    },
+
+    async downloadSyncCode() {
+        const group = State.getActiveGroup();
+        Exporter.download(Exporter.fileName(group, 'sync', 'txt'), await Sync.encode(group), 'text/plain');
+    },
+
+    async mergeSyncCode(text) {
+        if (!text.trim()) {
+            alert('Please paste a sync code or open a sync file');
+            return;
+        }
+
+        const remote = await Sync.decode(text);
+        if (!remote) {
+            alert('This is not a valid Expense Splitter sync code.');
+            return;
+        }
+
+        const result = State.mergeSyncedGroup(remote);
+        document.getElementById('sync-code-input').value = '';
+        document.getElementById('sync-code-output').value = '';
+        this.refreshGroup();
+        Tabs.switchTab('sync');
+        alert(`Merged "${result.group.name}": ${result.added} added, ${result.updated} updated, ${result.removed} removed.` +
+            (result.quarantined ? ` ${result.quarantined} set aside because they refer to members that are missing; see Repair Data.` : ''));
+    },
+
+    async loadStatement(file) {
+        if (!StatementImport.load(await file.text())) {
+            alert('This file has no rows to import.');
+            return;
+        }
+
+        document.getElementById('statement-decimal-separator').value = '';
+        UI.renderStatementMapping();
+    },
+
+    getStatementMapping() {
+        const mapping = {};
+        ['date', 'description', 'amount', 'payer'].forEach(field => {
+            mapping[field] = document.getElementById(`statement-${field}-column`).value;
+        });
+        mapping.decimalSeparator = document.getElementById('statement-decimal-separator').value;
+        return mapping;
+    },
+
+    getStatementDefaults() {
+        return {
+            paidBy: document.getElementById('statement-default-payer').value,
+            splitBetween: Array.from(document.querySelectorAll('input[name="statementSplitBetween"]:checked'))
+                .map(cb => cb.value)
+        };
+    },
+
+    importStatement() {
+        const defaults = this.getStatementDefaults();
+        const rows = StatementImport.buildPreview(this.getStatementMapping(), defaults)
+            .filter(row => !row.errors.length && !row.duplicate);
+
+        if (rows.length === 0) {
+            alert('No valid new rows to import. Check the column mapping and errors in the preview.');
+            return;
+        }
+
+        if (!confirm(`Import ${rows.length} ${rows.length === 1 ? 'expense' : 'expenses'}?`)) {
+            return;
+        }
+
+        const imported = State.importExpenses(rows.map(row => ({
+            title: row.title,
+            amount: row.amount,
+            paidBy: row.paidBy,
+            splitBetween: defaults.splitBetween,
+            options: { date: row.date }
+        }))).length;
+
+        alert(`Imported ${imported} ${imported === 1 ? 'expense' : 'expenses'}.`);
+
+        StatementImport.reset();
+        document.getElementById('statement-file-input').value = '';
+        document.getElementById('statement-mapping').classList.add('hidden');
+        Tabs.switchTab('expense-history');
+        UI.renderExpenseViews();
+    },
+
+    setSettlementStrategy() {
+        const strategy = document.getElementById('settlement-strategy').value;
+        const treasurerId = document.getElementById('treasurer-select').value || null;
+
+        State.setSettlementStrategy(strategy, treasurerId);
+        UI.renderSettlements();
+    },
+
+    markSettlementPaid(fromId, toId, suggestedAmount) {
+        const from = State.getMember(fromId);
+        const to = State.getMember(toId);
+        const input = prompt(
+            `How much did ${from.name} pay ${to.name}? (${State.baseCurrency})`,
+            suggestedAmount
+        );
+
+        if (input === null) {
+            return;
+        }
+
+        const cents = Decimal.toCents(input, State.baseCurrency);
+        if (cents <= 0) {
+            alert('Please enter a valid amount greater than 0');
+            return;
+        }
+
+        if (cents > Decimal.toCents(suggestedAmount, State.baseCurrency)) {
+            alert(`Amount cannot exceed the outstanding ${Decimal.format(suggestedAmount, State.baseCurrency)}`);
+            return;
+        }
+
+        if (!State.addPayment(fromId, toId, Decimal.fromCents(cents, State.baseCurrency))) {
+            alert('Failed to record payment.');
+            return;
+        }
+
+        UI.renderSettlements();
+    },
+
+    removePayment(paymentId) {
+        if (!confirm('Delete this payment record?')) {
+            return;
+        }
+
+        State.removePayment(paymentId);
+        UI.renderSettlements();
+        UI.showToast('Payment deleted', true);
+    },
+
+    setBaseCurrency(currency) {
+        if (!State.setBaseCurrency(currency)) {
+            alert(`Add an exchange rate for ${currency} before making it the base currency.`);
+        }
+
+        this.refreshCurrencies();
+    },
+
+    setLocale(locale) {
+        if (!LocalePreference.setLocale(locale)) {
+            return;
+        }
+
+        this.refreshCurrencies();
+        UI.renderSettlements();
+        UI.updateSplitSummary();
+        UI.showToast('Number format updated');
+    },
+
+    addRate() {
+        const currency = document.getElementById('rate-currency-select').value;
+        const rateInput = document.getElementById('rate-value-input');
+
+        if (!State.setRate(currency, rateInput.value)) {
+            alert('Please enter a valid exchange rate greater than 0');
+            return;
+        }
+
+        rateInput.value = '';
+        this.refreshCurrencies();
+    },
+
+    removeRate(currency) {
+        if (!State.removeRate(currency)) {
+            alert(`Cannot remove ${currency} while expenses, payments or recurring expenses use it. Delete or edit those first.`);
+            return;
+        }
+
+        this.refreshCurrencies();
+    },
+
+    importRates() {
+        const textarea = document.getElementById('import-rates-text');
+        const imported = State.importRates(textarea.value);
+
+        if (!imported) {
+            alert('No valid rates found. Use lines like "USD=83.10" or a JSON object.');
+            return;
+        }
+
+        alert(`Imported ${imported} exchange ${imported === 1 ? 'rate' : 'rates'}.`);
+        textarea.value = '';
+        this.refreshCurrencies();
+    },
+
+    refreshCurrencies() {
+        UI.renderCurrencies();
+        UI.renderCurrencyOptions();
+        UI.renderExpenseViews();
     },
 
     submitFeedback() {
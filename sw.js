@@ -0,0 +1,59 @@
+// Service Worker
+// Caches the app shell so expenses can be recorded with no network
+
+const CACHE_NAME = 'expense-splitter-v3';
+
+const ASSETS = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'core.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(ASSETS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Answer from the cache straight away and refresh it in the background when online
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || !request.url.startsWith('http')) {
+        return;
+    }
+
+    event.respondWith(caches.open(CACHE_NAME).then(async (cache) => {
+        const cached = await cache.match(request, { ignoreSearch: true });
+
+        const network = fetch(request)
+            .then(response => {
+                if (response.ok || response.type === 'opaque') {
+                    cache.put(request, response.clone());
+                }
+                return response;
+            })
+            .catch(() => cached || cache.match('index.html'));
+
+        if (cached) {
+            event.waitUntil(network);
+            return cached;
+        }
+        return network;
+    }));
+});
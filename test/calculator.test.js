@@ -0,0 +1,201 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Decimal, Calculator, State, StorageAdapters } from '../core.js';
+
+// Small deterministic generator so failures can be replayed
+const random = (seed => () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+})(42);
+const pick = list => list[Math.floor(random() * list.length)];
+
+const sumCents = (amounts, currency) => amounts.reduce((total, amount) => total + Decimal.toCents(amount, currency), 0);
+
+const balancesFor = nets => nets.map((net, index) => ({
+    memberId: `m${index}`,
+    name: `Member ${index}`,
+    netBalance: net
+}));
+
+// Applies the suggested transfers and returns what would be left on each balance
+const settle = (balances, settlements, currency) => {
+    const remaining = Object.fromEntries(balances.map(b => [b.memberId, Decimal.toCents(b.netBalance, currency)]));
+    settlements.forEach(s => {
+        assert.notEqual(s.fromId, s.toId);
+        assert.ok(Decimal.toCents(s.amount, currency) > 0, 'transfers are positive');
+        remaining[s.fromId] += Decimal.toCents(s.amount, currency);
+        remaining[s.toId] -= Decimal.toCents(s.amount, currency);
+    });
+    return remaining;
+};
+
+async function randomGroup(memberCount) {
+    await State.init(StorageAdapters.memory());
+    State.setRate('USD', '83.12');
+    State.setRate('JPY', '0.56');
+    State.setRate('KWD', '270.4');
+
+    const members = Array.from({ length: memberCount }, (_, index) => State.addMember(`Member ${index}`));
+    const ids = members.map(m => m.id);
+
+    for (let i = 0; i < 25; i++) {
+        const currency = pick(['INR', 'INR', 'USD', 'JPY', 'KWD']);
+        const amount = Decimal.fromCents(1 + Math.floor(random() * 500000), currency);
+        const participants = ids.filter(() => random() < 0.6);
+        if (participants.length === 0) participants.push(pick(ids));
+
+        const mode = pick(['equal', 'percent', 'shares']);
+        const splitValues = {};
+        if (mode === 'percent') {
+            Decimal.allocate('100', participants.map(() => 1)).forEach((percent, index) => {
+                splitValues[participants[index]] = percent;
+            });
+        } else if (mode === 'shares') {
+            participants.forEach(id => {
+                splitValues[id] = String(1 + Math.floor(random() * 4));
+            });
+        }
+
+        // Some expenses are paid by two people
+        const paidBy = pick(ids);
+        const other = pick(ids);
+        const options = { currency, splitMode: mode, splitValues };
+        if (other !== paidBy && random() < 0.3 && Decimal.toCents(amount, currency) > 1) {
+            const [first, second] = Decimal.allocate(amount, [1, 2], currency);
+            options.payers = { [paidBy]: first, [other]: second };
+        }
+
+        assert.ok(State.addExpense(`Expense ${i}`, amount, paidBy, participants, options));
+    }
+
+    for (let i = 0; i < 3; i++) {
+        const [from, to] = [pick(ids), pick(ids)];
+        if (from !== to) State.addPayment(from, to, Decimal.fromCents(1 + Math.floor(random() * 10000)));
+    }
+}
+
+test('expense shares always add up to the expense amount', async () => {
+    await randomGroup(6);
+    State.expenses.forEach(expense => {
+        const shares = Calculator.calculateExpenseShares(expense);
+        assert.equal(sumCents(Object.values(shares), expense.currency), Decimal.toCents(expense.amount, expense.currency), expense.title);
+
+        const payments = Calculator.calculateExpensePayments(expense);
+        assert.equal(sumCents(Object.values(payments), expense.currency), Decimal.toCents(expense.amount, expense.currency));
+    });
+});
+
+test('balances sum to zero, whatever the currencies and split modes', async () => {
+    for (let round = 0; round < 20; round++) {
+        await randomGroup(2 + Math.floor(random() * 7));
+        const balances = Calculator.calculateBalances(State.members, State.expenses, State.getCalculationOptions());
+        assert.equal(sumCents(balances.map(b => b.netBalance), 'INR'), 0, `round ${round}`);
+    }
+});
+
+test('balances sum to zero in a zero-decimal base currency', async () => {
+    await randomGroup(5);
+    assert.ok(State.setBaseCurrency('JPY'));
+
+    const balances = Calculator.calculateBalances(State.members, State.expenses, State.getCalculationOptions());
+    balances.forEach(b => assert.match(b.netBalance, /^-?\d+$/));
+    assert.equal(sumCents(balances.map(b => b.netBalance), 'JPY'), 0);
+});
+
+test('member statements end at the member\'s net balance', async () => {
+    await randomGroup(5);
+    const options = State.getCalculationOptions();
+    const balances = Calculator.calculateBalances(State.members, State.expenses, options);
+
+    balances.forEach(balance => {
+        const statement = Calculator.calculateMemberStatement(balance.memberId, State.expenses, options);
+        assert.equal(statement.balance, balance.netBalance);
+    });
+});
+
+test('every strategy settles all balances', async () => {
+    for (let round = 0; round < 10; round++) {
+        await randomGroup(3 + Math.floor(random() * 6));
+        const balances = Calculator.calculateBalances(State.members, State.expenses, State.getCalculationOptions());
+
+        ['fewest', 'shared', 'treasurer'].forEach(strategy => {
+            const settlements = Calculator.calculateSettlements(balances, {
+                strategy,
+                expenses: State.expenses,
+                treasurerId: State.members[0].id,
+                currency: 'INR'
+            });
+            const remaining = settle(balances, settlements, 'INR');
+            assert.ok(Object.values(remaining).every(cents => cents === 0), `${strategy}, round ${round}`);
+        });
+    }
+});
+
+test('the chosen treasurer collects and pays out even with a zero balance', () => {
+    const balances = balancesFor(['0.00', '50.00', '-30.00', '-20.00']);
+    const settlements = Calculator.calculateSettlements(balances, { strategy: 'treasurer', treasurerId: 'm0', currency: 'INR' });
+
+    assert.deepEqual(
+        settlements.map(s => [s.fromId, s.toId, s.amount]),
+        [['m0', 'm1', '50.00'], ['m2', 'm0', '30.00'], ['m3', 'm0', '20.00']]
+    );
+    assert.ok(Object.values(settle(balances, settlements, 'INR')).every(cents => cents === 0));
+});
+
+test('fewest transfers uses zero-sum subgroups that greedy matching misses', () => {
+    const balances = balancesFor(['4.00', '3.00', '3.00', '-6.00', '-4.00']);
+
+    const greedy = Calculator.settleGreedily(balances, 'INR');
+    const plan = Calculator.planSettlements(balances, { strategy: 'fewest', currency: 'INR' });
+
+    assert.equal(greedy.length, 4);
+    assert.equal(plan.settlements.length, 3);
+    assert.equal(plan.approximate, false);
+    assert.ok(Object.values(settle(balances, plan.settlements, 'INR')).every(cents => cents === 0));
+});
+
+test('fewest transfers needs at most one fewer transfer than unsettled members', () => {
+    for (let round = 0; round < 50; round++) {
+        const count = 2 + Math.floor(random() * 8);
+        const cents = Array.from({ length: count - 1 }, () => Math.floor(random() * 20001) - 10000);
+        cents.push(-cents.reduce((a, b) => a + b, 0));
+
+        const balances = balancesFor(cents.map(value => Decimal.fromCents(value)));
+        const unsettled = cents.filter(value => value !== 0).length;
+        const settlements = Calculator.calculateSettlements(balances, { currency: 'INR' });
+
+        assert.ok(settlements.length <= Math.max(0, unsettled - 1));
+        assert.ok(Object.values(settle(balances, settlements, 'INR')).every(value => value === 0));
+    }
+});
+
+test('large groups fall back to greedy matching and are flagged as approximate', () => {
+    const cents = Array.from({ length: Calculator.MAX_OPTIMAL_MEMBERS + 2 }, (_, index) => (index % 2 ? -100 : 100) * (index + 1));
+    cents.push(-cents.reduce((a, b) => a + b, 0));
+    const balances = balancesFor(cents.map(value => Decimal.fromCents(value)));
+
+    const plan = Calculator.planSettlements(balances, { currency: 'INR' });
+    assert.equal(plan.approximate, true);
+    assert.ok(Object.values(settle(balances, plan.settlements, 'INR')).every(value => value === 0));
+});
+
+test('the shared strategy only moves money between people who shared an expense', () => {
+    const members = ['a', 'b', 'c', 'd'].map(id => ({ id, name: id.toUpperCase() }));
+    const expense = (id, paidBy, splitBetween, amount) => ({
+        id, title: id, amount, currency: 'INR', paidBy, splitBetween, splitMode: 'equal', splitValues: {}, createdAt: 0
+    });
+    // a and b shared a cab, b and c a meal, c and d a ticket: a can only reach d through the chain
+    const expenses = [
+        expense('cab', 'b', ['a', 'b'], '100.00'),
+        expense('meal', 'c', ['b', 'c'], '100.00'),
+        expense('ticket', 'd', ['c', 'd'], '100.00')
+    ];
+    const balances = Calculator.calculateBalances(members, expenses, { baseCurrency: 'INR' });
+    const settlements = Calculator.calculateSettlements(balances, { strategy: 'shared', expenses, currency: 'INR' });
+
+    const linked = new Set(['a|b', 'b|c', 'c|d']);
+    settlements.forEach(s => {
+        assert.ok(linked.has([s.fromId, s.toId].sort().join('|')), `${s.from} -> ${s.to}`);
+    });
+    assert.ok(Object.values(settle(balances, settlements, 'INR')).every(value => value === 0));
+});
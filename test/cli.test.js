@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/expense-splitter.js', import.meta.url));
+
+const run = (file, ...args) => new Promise(resolve => {
+    execFile(process.execPath, [CLI, '--file', file, ...args], (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+});
+
+test('the CLI keeps a ledger the app can read', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'expense-splitter-'));
+    const file = join(dir, 'flat.json');
+
+    try {
+        assert.equal((await run(file, 'balances')).code, 1, 'read commands need an existing ledger');
+
+        for (const name of ['Asha', 'Ben', 'Chandra']) {
+            assert.equal((await run(file, 'member', 'add', name)).code, 0);
+        }
+        assert.equal((await run(file, 'expense', 'add', 'Groceries', '900', '--paid-by', 'asha')).code, 0);
+        assert.equal((await run(file, 'expense', 'add', 'Internet', '600', '--paid-by', 'Ben', '--split', 'Ben,Chandra')).code, 0);
+
+        const ledger = JSON.parse(await readFile(file, 'utf8'));
+        assert.equal(ledger.groups[0].members.length, 3);
+        assert.equal(ledger.groups[0].expenses.length, 2);
+
+        const balances = JSON.parse((await run(file, 'balances', '--json')).stdout).balances;
+        assert.deepEqual(balances.map(b => b.netBalance), ['600.00', '0.00', '-600.00']);
+
+        const plan = JSON.parse((await run(file, 'settle', '--json')).stdout);
+        assert.deepEqual(plan.settlements.map(s => [s.from, s.to, s.amount]), [['Chandra', 'Asha', '600.00']]);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('the CLI applies the app\'s validation rules', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'expense-splitter-'));
+    const file = join(dir, 'flat.json');
+
+    try {
+        await run(file, 'member', 'add', 'Asha');
+        await run(file, 'member', 'add', 'Ben');
+
+        const duplicate = await run(file, 'member', 'add', 'asha');
+        assert.equal(duplicate.code, 1);
+        assert.match(duplicate.stderr, /already exists/);
+
+        const badSplit = await run(file, 'expense', 'add', 'Cab', '100', '--paid-by', 'Asha', '--mode', 'exact', '--value', 'Asha=40', '--value', 'Ben=50');
+        assert.equal(badSplit.code, 1);
+        assert.match(badSplit.stderr, /add up to the total/);
+
+        const added = await run(file, 'expense', 'add', 'Cab', '100', '--paid-by', 'Asha', '--json');
+        const expense = JSON.parse(added.stdout);
+
+        const removeMember = await run(file, 'member', 'remove', 'Ben');
+        assert.equal(removeMember.code, 1);
+        assert.match(removeMember.stderr, /involved in expenses/);
+
+        assert.equal((await run(file, 'expense', 'remove', expense.id)).code, 0);
+        assert.equal((await run(file, 'member', 'remove', 'Ben')).code, 0);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+
+test('read commands leave the ledger file exactly as it was', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'expense-splitter-'));
+    const file = join(dir, 'flat.json');
+
+    try {
+        await run(file, 'member', 'add', 'Asha');
+        await run(file, 'member', 'add', 'Ben');
+        const written = await readFile(file, 'utf8');
+        assert.match(written, /^{\n  "version"/, 'ledgers are written indented');
+
+        // Hand-formatted and from before versioning; reading must not rewrite or upgrade it
+        const handWritten = JSON.stringify({ members: JSON.parse(written).groups[0].members, expenses: [] }, null, 4);
+        await writeFile(file, handWritten, 'utf8');
+
+        for (const args of [['balances'], ['settle'], ['member', 'list'], ['expense', 'list']]) {
+            assert.equal((await run(file, ...args)).code, 0);
+            assert.equal(await readFile(file, 'utf8'), handWritten, args.join(' '));
+        }
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
\ No newline at end of file
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Decimal } from '../core.js';
+
+const sum = (amounts, currency) => amounts.reduce((total, amount) => total + Decimal.toCents(amount, currency), 0);
+
+test('parses amounts without floating point error', () => {
+    assert.equal(Decimal.add('0.1', '0.2'), '0.30');
+    assert.equal(Decimal.toCents('1.005'), 101);
+    assert.equal(Decimal.toCents('19.99'), 1999);
+    assert.equal(Decimal.toCents('.5'), 50);
+    assert.equal(Decimal.toCents('12.'), 1200);
+    assert.equal(Decimal.toCents('-2.345'), -235);
+});
+
+test('treats anything that is not a plain decimal as zero', () => {
+    ['', 'abc', '1e3', '1,000', '--1', '.'].forEach(value => {
+        assert.equal(Decimal.toCents(value), 0, value);
+    });
+    assert.equal(Decimal.toCents(null), 0);
+    assert.equal(Decimal.toCents(undefined), 0);
+});
+
+test('follows each currency\'s minor unit', () => {
+    assert.equal(Decimal.scale('INR'), 2);
+    assert.equal(Decimal.scale('JPY'), 0);
+    assert.equal(Decimal.scale('KWD'), 3);
+
+    assert.equal(Decimal.toCents('1500.6', 'JPY'), 1501);
+    assert.equal(Decimal.fromCents(1501, 'JPY'), '1501');
+    assert.equal(Decimal.toCents('1.2345', 'KWD'), 1235);
+    assert.equal(Decimal.fromCents(1235, 'KWD'), '1.235');
+    assert.equal(Decimal.fromCents(-5), '-0.05');
+    assert.equal(Decimal.fromCents(-0), '0.00');
+});
+
+test('divideEqually never loses or invents a cent', () => {
+    for (let cents = 0; cents <= 1000; cents += 7) {
+        for (let parts = 1; parts <= 9; parts++) {
+            const amount = Decimal.fromCents(cents);
+            const shares = Decimal.divideEqually(amount, parts);
+
+            assert.equal(shares.length, parts);
+            assert.equal(sum(shares), cents, `${amount} / ${parts}`);
+
+            // Shares differ by at most one cent, and the extra cents go to the first members
+            const values = shares.map(share => Decimal.toCents(share));
+            assert.ok(Math.max(...values) - Math.min(...values) <= 1);
+            assert.deepEqual(values, [...values].sort((a, b) => b - a));
+        }
+    }
+});
+
+test('divideEqually hands out remainders in order', () => {
+    assert.deepEqual(Decimal.divideEqually('100.00', 3), ['33.34', '33.33', '33.33']);
+    assert.deepEqual(Decimal.divideEqually('0.02', 3), ['0.01', '0.01', '0.00']);
+    assert.deepEqual(Decimal.divideEqually('100', 3, 'JPY'), ['34', '33', '33']);
+    assert.deepEqual(Decimal.divideEqually('1.000', 3, 'KWD'), ['0.334', '0.333', '0.333']);
+    assert.deepEqual(Decimal.divideEqually('10.00', 0), []);
+});
+
+test('allocate splits in proportion and keeps the total', () => {
+    assert.deepEqual(Decimal.allocate('100.00', [1, 1, 1]), ['33.34', '33.33', '33.33']);
+    assert.deepEqual(Decimal.allocate('10.00', [2, 1, 1]), ['5.00', '2.50', '2.50']);
+    assert.deepEqual(Decimal.allocate('0.05', [0, 1, 1]), ['0.00', '0.03', '0.02']);
+    assert.deepEqual(Decimal.allocate('10.00', [0, 0]), []);
+
+    const weights = [3333, 3333, 3334];
+    assert.equal(sum(Decimal.allocate('999.99', weights)), 99999);
+});
+
+test('compares across precisions', () => {
+    assert.ok(Decimal.compare('0.001', '0') > 0);
+    assert.equal(Decimal.compare('1.5', '1.500'), 0);
+    assert.ok(Decimal.compare('-1', '0') < 0);
+    assert.ok(Decimal.isZero('0.000'));
+    assert.ok(!Decimal.isZero('0.001'));
+});
@@ -0,0 +1,182 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCHEMA_VERSION, Migrations, StorageAdapters, State, Calculator } from '../core.js';
+
+const load = async data => {
+    const storage = StorageAdapters.memory(JSON.stringify(data));
+    await State.init(storage);
+    return storage;
+};
+
+const flat = (overrides = {}) => ({
+    version: SCHEMA_VERSION,
+    activeGroupId: 'flat',
+    groups: [{
+        id: 'flat',
+        name: 'Flat',
+        members: [{ id: 'a', name: 'Asha' }, { id: 'b', name: 'Ben' }],
+        expenses: [{ id: 'e1', title: 'Rent', amount: '1000.00', currency: 'INR', paidBy: 'a', splitBetween: ['a', 'b'], createdAt: 1 }],
+        ...overrides
+    }]
+});
+
+test('unversioned data is migrated step by step to the current schema', () => {
+    const legacy = {
+        members: [{ id: 'a', name: 'Asha' }],
+        expenses: [{ id: 'e1', title: 'Tea', amount: 12.5, paidBy: 'a', splitBetween: ['a'], createdAt: Date.UTC(2024, 0, 15, 12) }]
+    };
+
+    assert.equal(Migrations.versionOf(legacy), 0);
+    const migrated = Migrations.run(legacy);
+
+    assert.equal(migrated.version, SCHEMA_VERSION);
+    const [expense] = migrated.groups[0].expenses;
+    assert.equal(expense.amount, '12.50');
+    assert.equal(expense.currency, 'INR');
+    assert.equal(expense.splitMode, 'equal');
+    assert.equal(expense.date, '2024-01-15');
+});
+
+test('data from a newer version is not loaded or overwritten', async () => {
+    const stored = JSON.stringify({ ...flat(), version: SCHEMA_VERSION + 1 });
+    const storage = StorageAdapters.memory(stored);
+    await State.init(storage);
+
+    assert.equal(State.unreadable.reason, 'newer');
+    State.addMember('Chandra');
+    await State.persist();
+    assert.equal(await storage.load(), stored);
+});
+
+test('an expense paid by a missing member is set aside instead of breaking the balances', async () => {
+    await load(flat({
+        expenses: [
+            { id: 'e1', title: 'Rent', amount: '1000.00', paidBy: 'a', splitBetween: ['a', 'b'], createdAt: 1 },
+            { id: 'e2', title: 'Cab', amount: '300.00', paidBy: 'gone', splitBetween: ['a', 'gone'], createdAt: 2 }
+        ]
+    }));
+
+    assert.deepEqual(State.expenses.map(e => e.id), ['e1']);
+    assert.deepEqual(State.quarantine.map(entry => entry.problems), [['missing-member']]);
+    const balances = Calculator.calculateBalances(State.members, State.expenses, State.getCalculationOptions());
+    assert.deepEqual(balances.map(b => b.netBalance), ['500.00', '-500.00']);
+
+    assert.ok(State.restoreQuarantined(State.quarantine[0].id));
+    assert.equal(State.quarantine.length, 0);
+    assert.equal(State.getMember('gone').name, 'Missing member');
+    const repaired = Calculator.calculateBalances(State.members, State.expenses, State.getCalculationOptions());
+    assert.deepEqual(repaired.map(b => b.netBalance), ['350.00', '-500.00', '150.00']);
+});
+
+test('duplicate ids and bad amounts are caught on load', async () => {
+    await load(flat({
+        expenses: [
+            { id: 'e1', title: 'Rent', amount: '1000.00', paidBy: 'a', splitBetween: ['a', 'b'] },
+            { id: 'e1', title: 'Rent again', amount: '20.00', paidBy: 'b', splitBetween: ['b'] },
+            { id: 'e3', title: 'Refund', amount: '-20.00', paidBy: 'b', splitBetween: ['b'] },
+            'not an expense'
+        ],
+        payments: [{ id: 'p1', from: 'a', to: 'a', amount: '5.00' }]
+    }));
+
+    assert.deepEqual(State.expenses.map(e => e.title), ['Rent']);
+    assert.deepEqual(State.quarantine.map(entry => entry.problems), [
+        ['duplicate-id'], ['invalid-amount'], ['malformed'], ['malformed']
+    ]);
+
+    const [duplicate, negative] = State.quarantine;
+    assert.ok(State.restoreQuarantined(duplicate.id));
+    assert.notEqual(State.expenses[1].id, 'e1');
+    assert.equal(State.restoreQuarantined(negative.id), false);
+    assert.ok(State.discardQuarantined(negative.id));
+    assert.equal(State.quarantine.length, 2);
+});
+
+test('a null member is set aside instead of stopping the load', async () => {
+    await load(flat({ members: [null, { id: 'a', name: 'Asha' }, { id: 'b', name: 'Ben' }] }));
+
+    assert.deepEqual(State.members.map(m => m.id), ['a', 'b']);
+    assert.deepEqual(State.expenses.map(e => e.id), ['e1']);
+    assert.deepEqual(State.quarantine.map(entry => [entry.collection, entry.problems]), [['members', ['malformed']]]);
+});
+
+test('splits that do not add up and currencies without a rate are caught on load', async () => {
+    await load(flat({
+        rates: { EUR: '90' },
+        expenses: [
+            { id: 'e1', title: 'Rent', amount: '1000.00', paidBy: 'a', splitBetween: ['a', 'b'] },
+            { id: 'e2', title: 'Dinner', amount: '10.00', paidBy: 'a', splitBetween: ['a', 'b'], splitMode: 'itemized' },
+            { id: 'e3', title: 'Tickets', amount: '10.00', currency: 'USD', paidBy: 'a', splitBetween: ['a', 'b'] },
+            { id: 'e4', title: 'Cab', amount: '10.00', paidBy: 'a', splitBetween: ['a', 'b'], splitMode: 'exact', splitValues: { a: '4.00', b: '5.00' } },
+            { id: 'e5', title: 'Hotel', amount: '10.00', paidBy: 'a', payers: { a: '4.00', b: '5.00' }, splitBetween: ['a', 'b'] },
+            { id: 'e6', title: 'Museum', amount: '20.00', currency: 'EUR', paidBy: 'b', splitBetween: ['a', 'b'], splitMode: 'percent', splitValues: { a: '25.00', b: '75.00' } }
+        ]
+    }));
+
+    assert.deepEqual(State.expenses.map(e => e.id), ['e1', 'e6']);
+    assert.deepEqual(State.quarantine.map(entry => [entry.record.id, entry.problems]), [
+        ['e2', ['malformed']], ['e3', ['missing-rate']], ['e4', ['malformed']], ['e5', ['malformed']]
+    ]);
+    const balances = Calculator.calculateBalances(State.members, State.expenses, State.getCalculationOptions());
+    assert.deepEqual(balances.map(b => b.netBalance), ['50.00', '-50.00']);
+
+    const usd = State.quarantine[1].id;
+    assert.equal(State.restoreQuarantined(usd), false);
+    assert.ok(State.setRate('USD', '83'));
+    assert.ok(State.restoreQuarantined(usd));
+});
+
+test('dates that are not YYYY-MM-DD strings and members split in twice are caught on load', async () => {
+    await load(flat({
+        expenses: [
+            { id: 'e1', title: 'Rent', amount: '1000.00', paidBy: 'a', splitBetween: ['a', 'b'], date: '2024-01-01' },
+            { id: 'e2', title: 'Cab', amount: '300.00', paidBy: 'a', splitBetween: ['a', 'b'], date: 20240101 },
+            { id: 'e3', title: 'Tea', amount: '30.00', paidBy: 'a', splitBetween: ['a', 'a', 'b'], date: '2024-01-02' }
+        ]
+    }));
+
+    assert.deepEqual(State.expenses.map(e => e.id), ['e1']);
+    assert.deepEqual(State.quarantine.map(entry => [entry.record.id, entry.problems]), [
+        ['e2', ['malformed']], ['e3', ['malformed']]
+    ]);
+    const statement = Calculator.calculateMemberStatement('a', State.expenses, State.getCalculationOptions());
+    assert.deepEqual(statement.entries.map(entry => entry.date), ['2024-01-01']);
+});
+
+test('everything the app can record passes the load checks', async () => {
+    const storage = StorageAdapters.memory();
+    await State.init(storage);
+    State.setRate('USD', '83.12');
+    const [asha, ben, chandra] = ['Asha', 'Ben', 'Chandra'].map(name => State.addMember(name));
+    const everyone = [asha.id, ben.id, chandra.id];
+
+    assert.ok(State.addExpense('Rent', '1000', asha.id, everyone));
+    assert.ok(State.addExpense('Cab', '90', ben.id, everyone, { splitMode: 'exact', splitValues: { [asha.id]: '30', [ben.id]: '20', [chandra.id]: '40' } }));
+    assert.ok(State.addExpense('Hotel', '120.50', chandra.id, everyone, { currency: 'USD', splitMode: 'shares', splitValues: { [asha.id]: '1', [ben.id]: '2', [chandra.id]: '1' }, payers: { [chandra.id]: '100.50', [asha.id]: '20' } }));
+    assert.ok(State.addExpense('Dinner', '110', asha.id, [], {
+        splitMode: 'itemized',
+        items: [{ name: 'Pizza', amount: '60', memberIds: [asha.id, ben.id] }, { name: 'Wine', amount: '40', memberIds: [chandra.id] }],
+        adjustments: { tip: '10' }
+    }));
+    assert.ok(State.addPayment(ben.id, asha.id, '50'));
+    await State.persist();
+
+    await State.init(storage);
+    assert.equal(State.quarantine.length, 0);
+    assert.equal(State.expenses.length, 4);
+});
+
+test('records set aside are saved until they are repaired or discarded', async () => {
+    const storage = await load(flat({
+        members: [{ id: 'a', name: 'Asha' }, { id: 'b', name: 'Ben' }, { id: 'a', name: 'Asha twin' }]
+    }));
+    assert.equal(State.quarantine.length, 1);
+
+    await State.persist();
+    await State.init(storage);
+    assert.equal(State.quarantine.length, 1);
+    assert.equal(State.quarantine[0].record.name, 'Asha twin');
+
+    State.deleteGroup('flat');
+    assert.equal(State.quarantine.length, 0);
+});
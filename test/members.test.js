@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Decimal, StorageAdapters, State, Calculator } from '../core.js';
+
+const setup = async names => {
+    await State.init(StorageAdapters.memory());
+    return names.map(name => State.addMember(name));
+};
+
+const netBalances = () => Object.fromEntries(
+    Calculator.calculateBalances(State.members, State.expenses, State.getCalculationOptions())
+        .map(b => [b.name, b.netBalance])
+);
+
+test('members can be renamed but not to a name already in use', async () => {
+    const [asha] = await setup(['Asha', 'Ben']);
+
+    assert.equal(State.updateMember(asha.id, { name: '  Asha K  ' }).name, 'Asha K');
+    assert.equal(State.updateMember(asha.id, { name: 'ben' }), null);
+    assert.equal(State.updateMember(asha.id, { name: ' ' }), null);
+    assert.equal(State.getMember(asha.id).name, 'Asha K');
+});
+
+test('contact details are validated and empty ones are removed', async () => {
+    const [asha] = await setup(['Asha']);
+
+    assert.ok(State.updateMember(asha.id, { email: 'asha@example.com', phone: '+91 98765 43210', upiId: 'asha@okbank' }));
+    assert.equal(State.updateMember(asha.id, { upiId: 'not a handle' }), null);
+    assert.equal(State.updateMember(asha.id, { email: 'asha@' }), null);
+    assert.equal(State.getMember(asha.id).upiId, 'asha@okbank');
+
+    State.updateMember(asha.id, { email: '' });
+    assert.equal('email' in State.getMember(asha.id), false);
+    assert.equal(State.getMember(asha.id).phone, '+91 98765 43210');
+});
+
+test('inactive members stay in the group but not among the active members', async () => {
+    const [asha, ben] = await setup(['Asha', 'Ben']);
+    State.addExpense('Tea', '40', asha.id, [asha.id, ben.id]);
+
+    assert.ok(State.setMemberActive(ben.id, false));
+    assert.deepEqual(State.getActiveMembers().map(m => m.name), ['Asha']);
+    assert.equal(netBalances().Ben, '-20.00');
+
+    State.setMemberActive(ben.id, true);
+    assert.equal(State.getActiveMembers().length, 2);
+});
+
+test('merging moves every expense and payment onto the remaining member', async () => {
+    const [asha, ben, sam, samir] = await setup(['Asha', 'Ben', 'Sam', 'Samir']);
+    State.addExpense('Dinner', '100', asha.id, [asha.id, ben.id, sam.id, samir.id]);
+    State.addExpense('Cab', '90', sam.id, [sam.id, samir.id, ben.id]);
+    State.addExpense('Tickets', '100', ben.id, [sam.id, samir.id, ben.id], {
+        splitMode: 'exact',
+        splitValues: { [sam.id]: '20', [samir.id]: '30', [ben.id]: '50' }
+    });
+    State.addExpense('Groceries', '100', asha.id, [asha.id, ben.id], { payers: { [asha.id]: '40', [sam.id]: '60' } });
+    State.addPayment(sam.id, samir.id, '10');
+    State.addPayment(ben.id, sam.id, '5');
+    State.updateMember(sam.id, { upiId: 'sam@okbank' });
+
+    const before = netBalances();
+    const merged = State.mergeMembers(sam.id, samir.id);
+
+    assert.equal(merged.id, samir.id);
+    assert.equal(merged.upiId, 'sam@okbank');
+    assert.equal(State.getMember(sam.id), undefined);
+
+    const after = netBalances();
+    assert.equal(after.Samir, Decimal.add(before.Sam, before.Samir));
+    assert.equal(after.Asha, before.Asha);
+    assert.equal(after.Ben, before.Ben);
+
+    // The payment between the two is gone, the other one now involves Samir
+    assert.deepEqual(State.payments.map(p => [p.from, p.to]), [[ben.id, samir.id]]);
+    assert.ok(State.expenses.every(e => !e.splitBetween.includes(sam.id) && e.paidBy !== sam.id && !(sam.id in (e.payers || {}))));
+});
+
+test('members sharing an item on a receipt cannot be merged', async () => {
+    const [asha, ben] = await setup(['Asha', 'Ben']);
+    State.addExpense('Lunch', '60', asha.id, [], {
+        splitMode: 'itemized',
+        items: [{ name: 'Pizza', amount: '60', memberIds: [asha.id, ben.id] }]
+    });
+
+    assert.equal(State.mergeMembers(ben.id, asha.id), null);
+    assert.equal(State.members.length, 2);
+});
@@ -0,0 +1,187 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { EXPORT_FORMAT, State, StorageAdapters, Calculator } from '../core.js';
+
+test('a fresh store starts with one empty group', async () => {
+    await State.init(StorageAdapters.memory());
+    assert.equal(State.groups.length, 1);
+    assert.equal(State.getActiveGroup().name, 'My Group');
+    assert.deepEqual(State.members, []);
+});
+
+test('state survives a round trip through the memory adapter', async () => {
+    const storage = StorageAdapters.memory();
+    await State.init(storage);
+
+    const alice = State.addMember('Alice');
+    const bob = State.addMember('Bob');
+    const expense = State.addExpense('Dinner', '1200.50', alice.id, [alice.id, bob.id]);
+    assert.ok(expense);
+    await State.persist();
+
+    await State.init(storage);
+    assert.deepEqual(State.members.map(m => m.name), ['Alice', 'Bob']);
+    assert.equal(State.expenses.length, 1);
+    assert.equal(State.expenses[0].amount, '1200.50');
+});
+
+test('invalid input is rejected without touching the state', async () => {
+    await State.init(StorageAdapters.memory());
+    const alice = State.addMember('Alice');
+
+    assert.equal(State.addMember('alice'), null);
+    assert.equal(State.addExpense('Nothing', '0', alice.id, [alice.id]), null);
+    assert.equal(State.addExpense('Bad', 'abc', alice.id, [alice.id]), null);
+    assert.equal(State.expenses.length, 0);
+});
+
+test('data from before groups existed is moved into a group', async () => {
+    const legacy = JSON.stringify({
+        members: [{ id: 'a', name: 'Asha' }],
+        expenses: [],
+        currentStep: 2
+    });
+    await State.init(StorageAdapters.memory(legacy));
+
+    assert.equal(State.groups.length, 1);
+    assert.equal(State.members[0].name, 'Asha');
+    assert.equal(State.currentStep, 2);
+});
+
+test('the file adapter reads back what it wrote', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'expense-splitter-'));
+    const path = join(dir, 'ledger.json');
+
+    try {
+        const storage = StorageAdapters.file(path);
+        assert.equal(await storage.load(), null);
+
+        await State.init(storage);
+        State.addMember('Chandra');
+        await State.persist();
+
+        const saved = JSON.parse(await readFile(path, 'utf8'));
+        assert.equal(saved.groups[0].members[0].name, 'Chandra');
+
+        await State.init(StorageAdapters.file(path));
+        assert.equal(State.members[0].name, 'Chandra');
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('the file adapter keeps the last of several quick writes', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'expense-splitter-'));
+    const path = join(dir, 'ledger.json');
+
+    try {
+        const storage = StorageAdapters.file(path);
+        await Promise.all(['one', 'two', 'three'].map(text => storage.save(text)));
+        assert.equal(await readFile(path, 'utf8'), 'three');
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('unreadable data is left untouched while a new group is used', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'expense-splitter-'));
+    const path = join(dir, 'ledger.json');
+
+    try {
+        await writeFile(path, '{ not json', 'utf8');
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            await State.init(StorageAdapters.file(path));
+        } finally {
+            console.error = originalError;
+        }
+        assert.equal(State.groups.length, 1);
+        assert.deepEqual(State.members, []);
+        assert.equal(State.unreadable.reason, 'corrupt');
+
+        State.addMember('Asha');
+        await State.persist();
+        assert.equal(await readFile(path, 'utf8'), '{ not json');
+
+        State.discardUnreadable();
+        await State.persist();
+        assert.equal(JSON.parse(await readFile(path, 'utf8')).groups[0].members[0].name, 'Asha');
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+
+test('imported records with ids that are not plain tokens are skipped', async () => {
+    await State.init(StorageAdapters.memory());
+    const result = State.importGroup({
+        ...EXPORT_FORMAT,
+        group: {
+            members: [
+                { id: 'a', name: 'Asha' },
+                { id: 'b', name: 'Ben' },
+                { id: '"><img src=x onerror=alert(2)>', name: 'Mallory' }
+            ],
+            expenses: [
+                { id: 'e1', title: 'Lunch', amount: '300.00', paidBy: 'a', splitBetween: ['a', 'b'] },
+                { id: "x');alert(1);('", title: 'Dinner', amount: '100.00', paidBy: 'a', splitBetween: ['a', 'b'] },
+                { id: 42, title: 'Taxi', amount: '50.00', paidBy: 'b', splitBetween: ['a', 'b'] }
+            ],
+            payments: [{ id: '<p>', from: 'b', to: 'a', amount: '10.00' }]
+        }
+    });
+
+    assert.deepEqual(result, { members: 2, expenses: 1, payments: 0, recurring: 0, skipped: 4 });
+    assert.deepEqual(State.members.map(m => m.id), ['a', 'b']);
+    assert.deepEqual(State.expenses.map(e => e.id), ['e1']);
+});
+
+test('a member is never split in twice', async () => {
+    await State.init(StorageAdapters.memory());
+    const sam = State.addMember('Sam');
+    const ben = State.addMember('Ben');
+
+    assert.equal(State.addExpense('Tea', '100', sam.id, [sam.id, sam.id, ben.id]), null);
+
+    // Both imported members match Sam, one by id and one by name
+    const result = State.importGroup({
+        ...EXPORT_FORMAT,
+        group: {
+            members: [{ id: sam.id, name: 'Sam' }, { id: 'x2', name: 'sam' }, { id: 'y', name: 'Ben' }],
+            expenses: [{ id: 'e1', title: 'Dinner', amount: '90.00', paidBy: 'y', splitBetween: [sam.id, 'x2', 'y'] }]
+        }
+    });
+
+    assert.equal(result.expenses, 1);
+    assert.deepEqual(State.expenses[0].splitBetween, [sam.id, ben.id]);
+    const balances = Calculator.calculateBalances(State.members, State.expenses, State.getCalculationOptions());
+    assert.deepEqual(balances.map(b => b.netBalance), ['-45.00', '45.00']);
+});
+
+test('a statement import is added with a single write', async () => {
+    const storage = StorageAdapters.memory();
+    await State.init(storage);
+    const asha = State.addMember('Asha');
+    const ben = State.addMember('Ben');
+
+    let writes = 0;
+    const save = storage.save;
+    storage.save = serialized => {
+        writes++;
+        return save(serialized);
+    };
+
+    const added = State.importExpenses([
+        { title: 'Groceries', amount: '450.00', paidBy: asha.id, splitBetween: [asha.id, ben.id], options: { date: '2024-03-01' } },
+        { title: 'Refund', amount: '0', paidBy: asha.id, splitBetween: [asha.id, ben.id] },
+        { title: 'Fuel', amount: '1200.00', paidBy: ben.id, splitBetween: [asha.id, ben.id], options: { date: '2024-03-02' } }
+    ]);
+
+    assert.deepEqual(added.map(e => e.title), ['Groceries', 'Fuel']);
+    assert.equal(State.expenses.length, 2);
+    assert.equal(writes, 1);
+});
\ No newline at end of file
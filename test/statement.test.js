@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Decimal, StatementParser } from '../core.js';
+
+const parse = (value, separator, currency = 'INR') => {
+    const cents = StatementParser.parseAmount(value, currency, separator);
+    return cents ? Decimal.fromCents(cents, currency) : null;
+};
+
+test('amounts with a decimal point, symbols and signs', () => {
+    assert.equal(parse('450', '.'), '450.00');
+    assert.equal(parse('1,234.56', '.'), '1234.56');
+    assert.equal(parse('₹1,23,456.50', '.'), '123456.50');
+    assert.equal(parse('-1,200.00 Dr', '.'), '1200.00');
+    assert.equal(parse('Rs. 450.00', '.'), '450.00');
+});
+
+test('amounts with a decimal comma', () => {
+    assert.equal(parse('12,50', ','), '12.50');
+    assert.equal(parse('1.234,56', ','), '1234.56');
+    assert.equal(parse('-1.234.567,8 €', ','), '1234567.80');
+    assert.equal(parse('1234', ','), '1234.00');
+});
+
+test('amounts whose separators do not fit are refused instead of guessed', () => {
+    assert.equal(parse('12,50', '.'), null);
+    assert.equal(parse('12.50', ','), null);
+    assert.equal(parse('1,2345.00', '.'), null);
+    assert.equal(parse('1.234.56', '.'), null);
+    assert.equal(parse('abc', '.'), null);
+    assert.equal(parse('', '.'), null);
+});
+
+test('the decimal separator is read from the amounts', () => {
+    assert.equal(StatementParser.detectDecimalSeparator(['12.50', '1234.56', '8']), '.');
+    assert.equal(StatementParser.detectDecimalSeparator(['12.50', '1234.56'], ','), '.', 'semicolon files with dot decimals');
+    assert.equal(StatementParser.detectDecimalSeparator(['12,50', '1.234,56']), ',');
+    assert.equal(StatementParser.detectDecimalSeparator(['1.234.567', '99']), ',');
+    assert.equal(StatementParser.detectDecimalSeparator(['1,23,456', '1,000.5']), '.');
+});
+
+test('amounts that could be either keep the fallback', () => {
+    assert.equal(StatementParser.detectDecimalSeparator(['1,234', '500'], '.'), '.');
+    assert.equal(StatementParser.detectDecimalSeparator(['1.234', '500'], ','), ',');
+    assert.equal(StatementParser.detectDecimalSeparator([], ','), ',');
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXPORT_FORMAT, StorageAdapters, State, Calculator, Sync } from '../core.js';
+
+const remoteGroup = group => ({ id: 'g1', name: 'Flat', members: [], expenses: [], payments: [], recurring: [], tombstones: {}, ...group });
+
+test('synced records that refer to unknown members are set aside', async () => {
+    await State.init(StorageAdapters.memory());
+    const result = State.mergeSyncedGroup(remoteGroup({
+        members: [{ id: 'a', name: 'Asha' }, { id: 'b', name: 'Ben' }],
+        expenses: [
+            { id: 'e1', title: 'Rent', amount: '900.00', paidBy: 'a', splitBetween: ['a', 'b'] },
+            { id: 'e2', title: 'Taxi', amount: '100.00', paidBy: 'zed', splitBetween: ['a', 'b'] }
+        ]
+    }));
+
+    assert.equal(result.quarantined, 1);
+    assert.deepEqual(State.expenses.map(e => e.id), ['e1']);
+    assert.deepEqual(State.quarantine.map(entry => [entry.record.id, entry.problems]), [['e2', ['missing-member']]]);
+    assert.deepEqual(
+        Calculator.calculateBalances(State.members, State.expenses, State.getCalculationOptions()).map(b => b.netBalance),
+        ['450.00', '-450.00']
+    );
+});
+
+test('sync codes with ids that are not plain tokens are not merged', async () => {
+    await State.init(StorageAdapters.memory());
+
+    const badGroup = { app: EXPORT_FORMAT.app, type: 'sync', group: remoteGroup({ id: '"><b>' }) };
+    assert.equal(await Sync.decode(await Sync.compress(JSON.stringify(badGroup))), null);
+
+    State.mergeSyncedGroup(remoteGroup({
+        members: [{ id: 'a', name: 'Asha' }, { id: "x');alert(1);('", name: 'Mallory' }],
+        expenses: [
+            { id: 'e1', title: 'Tea', amount: '40.00', paidBy: 'a', splitBetween: ['a'] },
+            { id: '<img src=x>', title: 'Cake', amount: '90.00', paidBy: 'a', splitBetween: ['a'] },
+            { id: 'e3', title: 'Snacks', amount: '60.00', paidBy: 'a', splitBetween: ['a', '"><b>'] }
+        ]
+    }));
+
+    assert.deepEqual(State.members.map(m => m.id), ['a']);
+    assert.deepEqual(State.expenses.map(e => e.id), ['e1']);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Upi, QrCode } from '../core.js';
+
+const payee = { name: 'Asha K', upiId: 'asha@okaxis' };
+
+test('settlement URIs carry the payee, amount and group note', () => {
+    const uri = Upi.buildSettlementUri({ amount: '1234.5' }, payee, 'Goa Trip');
+
+    assert.equal(uri, 'upi://pay?pa=asha%40okaxis&pn=Asha%20K&am=1234.50&cu=INR&tn=Goa%20Trip%20settle-up');
+});
+
+test('long notes are cut to what UPI apps display', () => {
+    const uri = Upi.buildUri({ payeeHandle: 'a@bank', payeeName: 'A', amount: '1', note: 'x'.repeat(80) });
+    const note = new URL(uri).searchParams.get('tn');
+
+    assert.equal(note.length, Upi.MAX_NOTE_LENGTH);
+});
+
+test('UPI is offered only in rupees to members with a valid handle', () => {
+    assert.equal(Upi.canPay(payee, 'INR'), true);
+    assert.equal(Upi.canPay(payee, 'USD'), false);
+    assert.equal(Upi.canPay({ name: 'Ben' }, 'INR'), false);
+    assert.equal(Upi.canPay({ name: 'Ben', upiId: 'not a handle' }, 'INR'), false);
+    assert.equal(Upi.canPay(undefined, 'INR'), false);
+});
+
+test('Reed-Solomon error correction matches the reference example', () => {
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+    const ecc = QrCode.reedSolomonRemainder(data, QrCode.reedSolomonDivisor(10));
+
+    assert.deepEqual(ecc, [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+});
+
+test('format and version information match the standard tables', () => {
+    assert.equal(QrCode.formatBits(0).toString(2).padStart(15, '0'), '101010000010010');
+    assert.equal(QrCode.formatBits(5).toString(2).padStart(15, '0'), '100000011001110');
+    assert.equal(QrCode.formatBits(7).toString(2).padStart(15, '0'), '100101010100000');
+    assert.equal(QrCode.versionBits(7).toString(2).padStart(18, '0'), '000111110010010100');
+    assert.deepEqual(QrCode.alignmentPositions(7), [6, 22, 38]);
+});
+
+test('the smallest version that fits is chosen and oversized text is refused', () => {
+    assert.equal(QrCode.encode('x'.repeat(14)).version, 1);
+    assert.equal(QrCode.encode('x'.repeat(15)).version, 2);
+    assert.equal(QrCode.encode('x'.repeat(2331)).version, 40);
+    assert.equal(QrCode.encode('x'.repeat(2332)), null);
+});
+
+test('symbols have finder patterns in three corners and the fixed dark module', () => {
+    const qr = QrCode.encode(Upi.buildSettlementUri({ amount: '500' }, payee, 'Flat'));
+    const { size, modules } = qr;
+
+    assert.equal(size, 17 + 4 * qr.version);
+    assert.equal(modules.length, size);
+    for (const [left, top] of [[0, 0], [size - 7, 0], [0, size - 7]]) {
+        assert.equal(modules[top][left], true);
+        assert.equal(modules[top + 1][left + 1], false);
+        assert.equal(modules[top + 3][left + 3], true);
+    }
+    assert.equal(modules[size - 8][8], true);
+});